@@ -1,50 +1,394 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, getDoc, addDoc, setDoc, updateDoc, deleteDoc, onSnapshot, collection, query, where, getDocs } from 'firebase/firestore';
+import { getFirestore, connectFirestoreEmulator, doc, getDoc, addDoc, setDoc, updateDoc, deleteDoc, onSnapshot, collection, query, where, getDocs, orderBy, limit, startAfter } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator, httpsCallable } from 'firebase/functions';
 import { AnimatePresence, motion } from 'framer-motion';
-import { Home, PlusCircle, Trash2, Wallet, User, Info, CheckCircle, XCircle } from 'lucide-react'; // For icons
+import { Home, PlusCircle, Trash2, Wallet, User, Info, CheckCircle, XCircle, Copy, QrCode, ScanLine, ArrowUpCircle, Bell, Shield, List } from 'lucide-react'; // For icons
+import { encodeQr, decodeQr, parseChequeId, imageDataFromFile, imageDataFromVideo } from './qr';
+import { createMockPaymentProvider } from './payments';
+import { CURRENCIES, DEFAULT_CURRENCY, parseAmount, multiplyAmount } from './functions/shared/money';
+import { createChequeService, ChequeError, MAX_WITHDRAWAL_DESTINATION_LENGTH, MAX_DISPLAY_NAME_LENGTH, MAX_MEMO_LENGTH, MAX_AUDIT_REASON_LENGTH, AUDIT_LOG_PAGE_SIZE, getCurrency, getDisplayName, getBalances, getHeldBalances, getActivationsTotal, getActivationsLeft, CHEQUE_STATUSES, isChequeActive } from './functions/shared/chequeService';
+import { createFirestoreStorage, profileDocRef, publicChequesCollectionRef, withdrawalsCollectionRef, ledgerCollectionRef, notificationsCollectionRef } from './firestoreStorage';
+import { createRemoteChequeService } from './remoteChequeService';
+import { LOCALES, DEFAULT_LOCALE, createTranslator, detectLocale, getSavedLocale, saveLocale } from './functions/shared/i18n';
+import { CURRENT_TERMS_VERSION, getTermsDocument, hasAcceptedTerms } from './functions/shared/terms';
+import { notificationText, notificationMessage } from './functions/shared/notificationText';
+import { dateRangeBounds, isInRange, chequesCsvFile, transactionsCsvFile, jsonFile } from './exportData';
 
 // Ensure global variables are defined, or provide defaults for local testing
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+const telegramAuthUrl = typeof __telegram_auth_url !== 'undefined' ? __telegram_auth_url : '/api/authTelegram';
+const telegramBotUsername = typeof __telegram_bot_username !== 'undefined' ? __telegram_bot_username : 'bill_activator_bot';
+const telegramAppName = typeof __telegram_app_name !== 'undefined' ? __telegram_app_name : 'app';
+// Host of the local Firestore and Functions emulators (ports from firebase.json), or null for production
+const emulatorHost = typeof __emulator_host !== 'undefined' ? __emulator_host : null;
 
-// Utility function to generate a short UUID
-const generateShortId = () => {
-    return 'xxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = Math.random() * 16 | 0, v = c === 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
+// Telegram WebApp object when running inside Telegram (or under telegramMock.js), otherwise null
+const getTelegramWebApp = () => (typeof window !== 'undefined' && window.Telegram?.WebApp?.initData ? window.Telegram.WebApp : null);
+
+// Top-up provider; swap for a real one implementing the interface described in payments.js
+const paymentProvider = createMockPaymentProvider();
+const TOP_UP_POLL_INTERVAL_MS = 3000;
+
+// Shareable activation links for a cheque: a Telegram Mini App link and a plain web URL
+const getChequeLinks = (shortId) => ({
+    telegram: `https://t.me/${telegramBotUsername}/${telegramAppName}?startapp=${encodeURIComponent(shortId)}`,
+    web: `${window.location.origin}${window.location.pathname}?cheque=${encodeURIComponent(shortId)}`,
+});
+
+// Save generated content as a file through a temporary object URL
+const downloadFile = ({ fileName, mimeType, content }) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Cheque ID the app was opened with, from the Telegram start_param or the ?cheque= URL parameter
+const getDeepLinkChequeId = () => {
+    const startParam = getTelegramWebApp()?.initDataUnsafe?.start_param;
+    if (startParam) return startParam;
+    return typeof window !== 'undefined' ? new URLSearchParams(window.location.search).get('cheque') : null;
+};
+
+// Exchange the signed Telegram initData for a Firebase custom token minted by the backend
+const fetchTelegramAuthToken = async (initData) => {
+    const response = await fetch(telegramAuthUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ initData }),
     });
+    if (!response.ok) {
+        throw new Error(`Telegram auth failed with status ${response.status}`);
+    }
+    const { token } = await response.json();
+    return token;
+};
+
+// Currencies with a non-zero amount, falling back to the default currency so there is always a line to show
+const currenciesToShow = (balances) => {
+    const currencies = Object.keys(CURRENCIES).filter(currency => balances[currency]);
+    return currencies.length > 0 ? currencies : [DEFAULT_CURRENCY];
+};
+
+// Per-currency totals as one line, e.g. "$10.00, 1.5 TON"; zero in the default currency if empty
+const formatTotals = (t, totals) => currenciesToShow(totals)
+    .map(currency => t.formatAmount(totals[currency] || 0, currency))
+    .join(', ');
+
+// Ledger entry types written by the cheque service and the backend; labels are the 'ledger.<type>' messages
+const LEDGER_TYPES = [
+    'cheque_create',
+    'cheque_activate',
+    'cheque_refund',
+    'cheque_expired', // Written by the expiry sweep in functions/
+    'top_up',
+    'withdrawal_hold',
+    'withdrawal_refund', // Written by the backend when a withdrawal is rejected
+    'admin_adjustment', // Made by support in the admin console
+];
+const LEDGER_PAGE_SIZE = 10;
+
+// Inbox notifications written by the backend, e.g. when someone activates the user's cheque
+const NOTIFICATIONS_LIMIT = 20;
+
+// Message with its placeholder values in bold, for the amounts and IDs on the create and top-up pages
+const boldValues = (parts) => parts.map((part, index) => (typeof part === 'string' ? part : <b key={index}>{part.value}</b>));
+
+// Text for an error from the cheque service, or the fallback message for anything unexpected
+const errorText = (t, error, fallbackKey) => {
+    if (!(error instanceof ChequeError)) return t(fallbackKey);
+    if (error.code === 'wrong_password') {
+        const attemptsLeft = error.details?.attemptsLeft ?? 0;
+        return attemptsLeft > 0 ? t('errors.wrong_password', { count: attemptsLeft }) : t('errors.wrong_password_locked');
+    }
+    return t(`errors.${error.code}`, error.details);
+};
+
+// Why an admin callable failed: cheque rule codes in the admin's language, anything else as the
+// backend put it
+const adminFailureReason = (t, error) => (error.details?.code
+    ? errorText(t, new ChequeError(error.details.code, error.details), 'admin.failed')
+    : error.message);
+
+// Lifetimes offered when creating a cheque, in hours; 'custom' takes the hours from an input
+const CHEQUE_LIFETIME_OPTIONS = [
+    { value: '', labelKey: 'lifetime.none' },
+    { value: '1', labelKey: 'lifetime.hour' },
+    { value: '24', labelKey: 'lifetime.day' },
+    { value: '168', labelKey: 'lifetime.week' },
+    { value: 'custom', labelKey: 'lifetime.custom' },
+];
+
+// Orders offered on the "My cheques" page
+const CHEQUE_SORTS = [
+    { value: 'newest', labelKey: 'cheques.sort.newest', compare: (a, b) => b.created_at.localeCompare(a.created_at) },
+    { value: 'oldest', labelKey: 'cheques.sort.oldest', compare: (a, b) => a.created_at.localeCompare(b.created_at) },
+    { value: 'amountDesc', labelKey: 'cheques.sort.amountDesc', compare: (a, b) => b.amount - a.amount },
+    { value: 'amountAsc', labelKey: 'cheques.sort.amountAsc', compare: (a, b) => a.amount - b.amount },
+];
+
+// Text for an event from chequeService.getTimeline
+const timelineText = (t, event) => {
+    if (event.type === 'activation') {
+        return event.activator
+            ? t('cheques.timeline.activationBy', { name: event.activator.name || t('app.defaultUserName'), username: event.activator.username ? ` (@${event.activator.username})` : '' })
+            : t('cheques.timeline.activation');
+    }
+    if (event.type === 'cancelled') return t(event.by === 'support' ? 'cheques.timeline.cancelledBySupport' : 'cheques.timeline.cancelled');
+    return t(`cheques.timeline.${event.type}`);
+};
+
+// A ref that always holds the latest value, for effects that read it without re-running when it changes
+const useLatestRef = (value) => {
+    const ref = useRef(value);
+    useEffect(() => {
+        ref.current = value;
+    }, [value]);
+    return ref;
+};
+
+// Number of activations entered at create step 0, or null unless it is a whole number >= 1
+const parseActivations = (value) => {
+    const activations = Number(value);
+    return Number.isInteger(activations) && activations >= 1 ? activations : null;
+};
+
+// The user's pending and approved withdrawal requests and the amount they hold, per currency;
+// on the withdraw page and the profile page
+const OpenWithdrawals = ({ t, withdrawals, heldBalances }) => (
+    <>
+        {Object.keys(CURRENCIES).filter(currency => heldBalances[currency] > 0).map((currency) => (
+            <p key={currency} className="text-blue-300 mb-2">{t('withdraw.held', { amount: t.formatAmount(heldBalances[currency], currency) })}</p>
+        ))}
+        {withdrawals.length === 0 ? (
+            <p className="text-blue-200">{t('withdraw.noOpenRequests')}</p>
+        ) : (
+            <ul className="space-y-3 text-left">
+                {withdrawals.map((withdrawal) => (
+                    <li key={withdrawal.id} className="bg-blue-700 rounded-xl p-3 shadow-md">
+                        <div className="flex justify-between items-center">
+                            <span className="text-blue-50 font-bold">{t.formatAmount(withdrawal.amount, getCurrency(withdrawal))}</span>
+                            <span className="text-blue-200 text-sm">{t(`withdraw.status.${withdrawal.status}`)}</span>
+                        </div>
+                        <div className="text-sm text-blue-300 break-all">{withdrawal.destination}</div>
+                        <div className="text-xs text-blue-300">{t.formatDateTime(withdrawal.created_at)}</div>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </>
+);
+
+// Camera QR scanner with an image upload fallback; calls onResult with the decoded text
+const QrScanner = ({ t, onResult, onClose }) => {
+    const videoRef = useRef(null);
+    const [cameraError, setCameraError] = useState(false);
+    const [uploadError, setUploadError] = useState(false);
+
+    // Scan camera frames until a QR code is found or the scanner is closed
+    useEffect(() => {
+        let stream = null;
+        let frameId = null;
+        let stopped = false;
+        const canvas = document.createElement('canvas');
+
+        const scanFrame = () => {
+            if (stopped) return;
+            const imageData = videoRef.current && imageDataFromVideo(videoRef.current, canvas);
+            const text = imageData && decodeQr(imageData);
+            if (text) {
+                onResult(text);
+                return;
+            }
+            frameId = requestAnimationFrame(scanFrame);
+        };
+
+        const startCamera = async () => {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+                if (stopped) return;
+                videoRef.current.srcObject = stream;
+                await videoRef.current.play();
+                scanFrame();
+            } catch (error) {
+                console.error("Error starting camera:", error);
+                setCameraError(true);
+            }
+        };
+        startCamera();
+
+        return () => {
+            stopped = true;
+            if (frameId) cancelAnimationFrame(frameId);
+            if (stream) stream.getTracks().forEach(track => track.stop());
+        };
+    }, [onResult]);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const text = decodeQr(await imageDataFromFile(file));
+            if (text) {
+                onResult(text);
+            } else {
+                setUploadError(true);
+            }
+        } catch (error) {
+            console.error("Error reading QR image:", error);
+            setUploadError(true);
+        }
+    };
+
+    return (
+        <motion.div
+            className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+        >
+            <div className="bg-blue-800 bg-opacity-90 rounded-2xl p-6 shadow-2xl w-full max-w-xs text-center">
+                <h3 className="text-xl font-bold mb-4 text-blue-100">{t('scanner.title')}</h3>
+                {cameraError ? (
+                    <p className="text-blue-200 mb-4">{t('scanner.cameraUnavailable')}</p>
+                ) : (
+                    <video ref={videoRef} className="w-full rounded-xl mb-4" playsInline muted />
+                )}
+                <label className="block w-full py-2 px-4 rounded-xl bg-blue-600 hover:bg-blue-500 text-blue-100 cursor-pointer mb-2">
+                    {t('scanner.upload')}
+                    <input type="file" accept="image/*" className="hidden" onChange={handleFile} />
+                </label>
+                {uploadError && <p className="text-red-300 text-sm mb-2">{t('scanner.notFound')}</p>}
+                <button
+                    className="w-full py-2 px-4 rounded-xl bg-gray-700 hover:bg-gray-600 text-blue-100"
+                    onClick={onClose}
+                >
+                    {t('scanner.close')}
+                </button>
+            </div>
+        </motion.div>
+    );
+};
+
+// A terms document from terms.js in the current locale, rendered as text
+const TermsDocument = ({ t, version, terms, acceptedAt }) => {
+    const paragraphs = terms.paragraphs[t.locale] || terms.paragraphs[DEFAULT_LOCALE];
+    return (
+        <div className="text-left space-y-2">
+            <p className="text-sm text-blue-300">
+                {t('terms.version', { version, date: t.formatDate(`${terms.effectiveDate}T00:00:00`) })}
+            </p>
+            {paragraphs.map((paragraph, index) => (
+                <p key={index} className={paragraph.strong ? 'font-bold' : ''}>{paragraph.text}</p>
+            ))}
+            {acceptedAt && <p className="text-sm text-blue-300">{t('terms.acceptedAt', { date: t.formatDateTime(acceptedAt) })}</p>}
+        </div>
+    );
 };
 
 // Main App Component
 const App = () => {
     const [db, setDb] = useState(null);
     const [auth, setAuth] = useState(null);
+    const [functions, setFunctions] = useState(null);
     const [userId, setUserId] = useState(null);
     const [userName, setUserName] = useState('');
-    const [userBalance, setUserBalance] = useState(0);
-    const [activeCheques, setActiveCheques] = useState([]);
-    const [currentPage, setCurrentPage] = useState('home'); // 'home', 'create', 'activate', 'delete', 'profile', 'wallet', 'terms'
-    const [createStep, setCreateStep] = useState(0); // 0: enter amount, 1: confirm details
+    const [userUsername, setUserUsername] = useState('');
+    const [userJoinDate, setUserJoinDate] = useState(null); // ISO string from the profile
+    const [userTerms, setUserTerms] = useState({}); // terms_accepted_version and terms_accepted_at from the profile
+    const [userFrozen, setUserFrozen] = useState(false); // Frozen by support, see functions/admin.js
+    const [isAdmin, setIsAdmin] = useState(false); // From the `admin` custom claim
+    const [userBalances, setUserBalances] = useState({}); // { [currency]: amount }
+    const [userHeldBalances, setUserHeldBalances] = useState({}); // Held by open withdrawal requests, per currency
+    const [myCheques, setMyCheques] = useState([]); // All the user's cheques, every status
+    const [incomingCheques, setIncomingCheques] = useState([]); // Active personal cheques addressed to the user
+    const [currentPage, setCurrentPage] = useState('home'); // 'home', 'create', 'activate', 'cheques', 'profile', 'wallet', 'topup', 'withdraw', 'notifications', 'terms', 'admin'
+    const [createStep, setCreateStep] = useState(0); // 0: enter amount, 1: confirm details, 2: created
     const [createAmount, setCreateAmount] = useState('');
     const [createIsAnonymous, setCreateIsAnonymous] = useState(false);
+    const [createActivations, setCreateActivations] = useState('1'); // How many users can activate the cheque
+    const [createCurrency, setCreateCurrency] = useState(DEFAULT_CURRENCY);
+    const [createPassword, setCreatePassword] = useState(''); // Optional, empty means no password
+    const [createLifetime, setCreateLifetime] = useState(''); // Hours as a string, 'custom' or '' for no expiry
+    const [createCustomHours, setCreateCustomHours] = useState('');
+    const [createRecipient, setCreateRecipient] = useState(''); // @username or Telegram id for a personal cheque, '' for anyone
+    const [createMemo, setCreateMemo] = useState(''); // Optional comment shown to whoever activates the cheque
     const [activateChequeId, setActivateChequeId] = useState('');
+    const [activatePassword, setActivatePassword] = useState('');
+    const [activatePreview, setActivatePreview] = useState(null); // Amount and sender of a deep-linked cheque
+    const [createdCheque, setCreatedCheque] = useState(null); // Shown on the success step (createStep 2)
+    const [chequesTab, setChequesTab] = useState('active'); // One of CHEQUE_STATUSES
+    const [chequesSort, setChequesSort] = useState('newest'); // One of CHEQUE_SORTS
+    const [chequesSearch, setChequesSearch] = useState(''); // Part of a short_id
+    const [chequeDetails, setChequeDetails] = useState(null); // { id, timeline } of the cheque shown in detail; timeline is null while loading
+    const [qrDisplay, setQrDisplay] = useState(null); // { shortId, dataUrl } of the QR code being shown
+    const [showScanner, setShowScanner] = useState(false);
+    const [topUpAmount, setTopUpAmount] = useState('');
+    const [topUpCurrency, setTopUpCurrency] = useState(DEFAULT_CURRENCY);
+    const [topUpInvoice, setTopUpInvoice] = useState(null); // { id, amount, payUrl, status } of the open invoice
+    const [withdrawAmount, setWithdrawAmount] = useState('');
+    const [withdrawCurrency, setWithdrawCurrency] = useState(DEFAULT_CURRENCY);
+    const [withdrawDestination, setWithdrawDestination] = useState(''); // Wallet address or card token
+    const [openWithdrawals, setOpenWithdrawals] = useState([]);
+    const [profileNameInput, setProfileNameInput] = useState('');
+    const [profileStats, setProfileStats] = useState(null); // From chequeService.getStats, null while loading
+    const [notifications, setNotifications] = useState([]); // Latest NOTIFICATIONS_LIMIT, newest first
+    const [adminQuery, setAdminQuery] = useState(''); // short_id, user id or username
+    const [adminResults, setAdminResults] = useState(null); // { query, users, cheques } of the last search
+    const [adminReason, setAdminReason] = useState(''); // Recorded in the audit log with the next action
+    const [adminAdjust, setAdminAdjust] = useState(null); // { uid, amount, currency } of the open balance adjustment form
+    const [adminAuditEntries, setAdminAuditEntries] = useState([]);
+    const [adminAuditHasMore, setAdminAuditHasMore] = useState(false);
+    const [adminAuditFilter, setAdminAuditFilter] = useState(''); // User id typed into the audit log filter
+    const [adminAuditTarget, setAdminAuditTarget] = useState(''); // The filter the shown entries are for, '' for all
+    const [walletEntries, setWalletEntries] = useState([]);
+    const [walletFilter, setWalletFilter] = useState({ type: 'all', from: '', to: '' }); // from/to: 'YYYY-MM-DD' or ''
+    const [isExporting, setIsExporting] = useState(false);
+    const [walletPage, setWalletPage] = useState(0);
+    const [walletHasMore, setWalletHasMore] = useState(false);
+    const walletPageCursors = useRef([]); // last ledger document of each loaded page; paging only, not rendered
     const [message, setMessage] = useState({ text: '', type: '' }); // type: 'success', 'error', 'info'
     const [showModal, setShowModal] = useState(false);
-    const [modalContent, setModalContent] = useState({ title: '', message: '', onConfirm: null, onCancel: null });
+    const [modalContent, setModalContent] = useState({ title: '', message: '', confirmLabel: null, onConfirm: null, onCancel: null }); // message: text or elements
     const [loading, setLoading] = useState(true);
+    const [telegram] = useState(getTelegramWebApp);
+    const [deepLinkChequeId] = useState(getDeepLinkChequeId);
+    // A locale picked by hand wins; otherwise follow the Telegram client's or the browser's language
+    const [locale, setLocale] = useState(() => getSavedLocale() || detectLocale({
+        telegramLanguageCode: getTelegramWebApp()?.initDataUnsafe?.user?.language_code,
+        browserLanguages: typeof navigator !== 'undefined' ? navigator.languages || [] : [],
+    }));
+    const t = useMemo(() => createTranslator(locale), [locale]);
+    const tRef = useLatestRef(t);
 
     // Initialize Firebase and authenticate
     useEffect(() => {
+        if (telegram) {
+            telegram.ready();
+            telegram.expand();
+        }
+
         try {
             const firebaseApp = initializeApp(firebaseConfig);
             const firestore = getFirestore(firebaseApp);
             const firebaseAuth = getAuth(firebaseApp);
+            const firebaseFunctions = getFunctions(firebaseApp);
+            if (emulatorHost) {
+                connectFirestoreEmulator(firestore, emulatorHost, 8080);
+                connectFunctionsEmulator(firebaseFunctions, emulatorHost, 5001);
+            }
 
             setDb(firestore);
             setAuth(firebaseAuth);
+            setFunctions(firebaseFunctions);
 
             // Listen for auth state changes
             const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
@@ -54,22 +398,58 @@ const App = () => {
                     const userDocRef = doc(firestore, 'artifacts', appId, 'users', user.uid, 'data', 'profile');
                     const userDocSnap = await getDoc(userDocRef);
 
+                    // Telegram identity comes from the claims the backend put into the custom token
+                    const { claims } = await user.getIdTokenResult();
+                    setIsAdmin(claims.admin === true);
+                    // firestore.rules pin the @username to the claim, so users without one have none
+                    const username = claims.username || null;
+                    const telegramProfile = claims.telegram_id ? {
+                        telegram_id: claims.telegram_id,
+                        first_name: claims.first_name,
+                        username,
+                        language_code: claims.language_code || null, // Language of the Telegram messages from the bot
+                    } : null;
+
                     if (!userDocSnap.exists()) {
                         // Create user profile if it doesn't exist
+                        const profile = telegramProfile || {
+                            telegram_id: null,
+                            first_name: user.displayName || tRef.current('app.defaultUserName'),
+                            username,
+                        };
                         await setDoc(userDocRef, {
-                            first_name: user.displayName || 'Пользователь',
-                            username: user.email ? user.email.split('@')[0] : `user-${user.uid.substring(0, 8)}`,
-                            balance: 0,
+                            ...profile,
+                            balances: {},
                             join_date: new Date().toISOString(),
                         });
-                        setUserName(user.displayName || 'Пользователь');
-                        setUserBalance(0);
+                        setUserName(profile.first_name);
+                        setUserUsername(profile.username || '');
+                        setUserBalances({});
                     } else {
                         const userData = userDocSnap.data();
-                        setUserName(userData.first_name || 'Пользователь');
-                        setUserBalance(userData.balance || 0);
+                        // Keep the name, @username and language in sync with Telegram; profiles from before the
+                        // rules pinned the @username get the claim's (or none), so they stay editable
+                        if (telegramProfile && Object.keys(telegramProfile).some(key => (userData[key] ?? null) !== telegramProfile[key])) {
+                            await updateDoc(userDocRef, telegramProfile);
+                            Object.assign(userData, telegramProfile);
+                        } else if (!telegramProfile && (userData.username ?? null) !== username) {
+                            await updateDoc(userDocRef, { username });
+                            userData.username = username;
+                        }
+                        setUserName(getDisplayName(userData) || tRef.current('app.defaultUserName'));
+                        setUserUsername(userData.username || '');
+                        setUserBalances(getBalances(userData));
                     }
                     setLoading(false);
+                } else if (telegram) {
+                    // Inside Telegram the signed initData is the only way in
+                    try {
+                        await signInWithCustomToken(firebaseAuth, await fetchTelegramAuthToken(telegram.initData));
+                    } catch (error) {
+                        console.error("Error signing in with Telegram:", error);
+                        setMessage({ text: tRef.current('app.telegramSignInFailed'), type: 'error' });
+                        setLoading(false);
+                    }
                 } else {
                     // Sign in anonymously if no initial token or user
                     if (initialAuthToken) {
@@ -89,10 +469,11 @@ const App = () => {
             return () => unsubscribe(); // Cleanup auth listener
         } catch (error) {
             console.error("Firebase initialization failed:", error);
-            setMessage({ text: 'Ошибка инициализации Firebase.', type: 'error' });
+            setMessage({ text: tRef.current('app.firebaseInitFailed'), type: 'error' });
             setLoading(false);
         }
-    }, []);
+        // Runs once; it reads the translator through tRef, so a locale switch does not sign the user in again
+    }, [telegram, tRef]);
 
     // Subscribe to real-time updates for user balance and cheques
     useEffect(() => {
@@ -103,24 +484,45 @@ const App = () => {
         const unsubscribeProfile = onSnapshot(userProfileRef, (docSnap) => {
             if (docSnap.exists()) {
                 const data = docSnap.data();
-                setUserBalance(data.balance || 0);
-                setUserName(data.first_name || 'Пользователь');
+                setUserBalances(getBalances(data));
+                setUserHeldBalances(getHeldBalances(data));
+                setUserName(getDisplayName(data) || tRef.current('app.defaultUserName'));
+                setUserUsername(data.username || '');
+                setUserJoinDate(data.join_date || null);
+                setUserTerms({ terms_accepted_version: data.terms_accepted_version ?? null, terms_accepted_at: data.terms_accepted_at ?? null });
+                setUserFrozen(!!data.frozen);
             }
         }, (error) => console.error("Error fetching user profile:", error));
 
-        // Active cheques snapshot listener for the current user
+        // The user's own cheques, whatever their status; the "My cheques" page filters them
         const chequesCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'cheques');
-        const q = query(chequesCollectionRef, where('active', '==', 1)); // Only active cheques
-        const unsubscribeCheques = onSnapshot(q, (snapshot) => {
+        const unsubscribeCheques = onSnapshot(chequesCollectionRef, (snapshot) => {
             const cheques = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setActiveCheques(cheques);
+            setMyCheques(cheques);
         }, (error) => console.error("Error fetching cheques:", error));
 
+        // Personal cheques other users made out to this user
+        const incomingQuery = query(publicChequesCollectionRef(db, appId), where('recipient_id', '==', userId), where('status', '==', 'active'));
+        const unsubscribeIncoming = onSnapshot(incomingQuery, (snapshot) => {
+            const cheques = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setIncomingCheques(cheques.sort((a, b) => b.created_at.localeCompare(a.created_at)));
+        }, (error) => console.error("Error fetching incoming cheques:", error));
+
+        // Withdrawal requests that are not finished yet
+        const withdrawalsQuery = query(withdrawalsCollectionRef(db, appId, userId), where('status', 'in', ['pending', 'approved']));
+        const unsubscribeWithdrawals = onSnapshot(withdrawalsQuery, (snapshot) => {
+            const withdrawals = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setOpenWithdrawals(withdrawals.sort((a, b) => b.created_at.localeCompare(a.created_at)));
+        }, (error) => console.error("Error fetching withdrawals:", error));
+
         return () => {
             unsubscribeProfile();
             unsubscribeCheques();
+            unsubscribeIncoming();
+            unsubscribeWithdrawals();
         };
-    }, [db, userId]);
+        // The translator comes through tRef, so a locale switch does not resubscribe the listeners
+    }, [db, userId, tRef]);
 
     // Show a message to the user
     const showMessage = useCallback((text, type = 'info', duration = 3000) => {
@@ -128,187 +530,279 @@ const App = () => {
         setTimeout(() => setMessage({ text: '', type: '' }), duration);
     }, []);
 
-    // Handle balance changes in Firestore
-    const changeBalance = useCallback(async (amount) => {
+    // Latest notifications; ones that arrive while the app is open also pop up as a toast
+    useEffect(() => {
         if (!db || !userId) return;
+
+        let initialSnapshot = true;
+        const notificationsQuery = query(notificationsCollectionRef(db, appId, userId), orderBy('created_at', 'desc'), limit(NOTIFICATIONS_LIMIT));
+        const unsubscribe = onSnapshot(notificationsQuery, (snapshot) => {
+            setNotifications(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            if (!initialSnapshot) {
+                snapshot.docChanges()
+                    .filter(change => change.type === 'added')
+                    .map(change => notificationMessage(tRef.current, change.doc.data()))
+                    .filter(Boolean)
+                    .forEach(text => showMessage(text, 'success', 5000));
+            }
+            initialSnapshot = false;
+        }, (error) => console.error("Error fetching notifications:", error));
+
+        return () => unsubscribe();
+    }, [db, userId, showMessage, tRef]);
+
+    // Opening the inbox marks everything in it as read
+    useEffect(() => {
+        if (currentPage !== 'notifications' || !db || !userId) return;
+        notifications.filter(notification => !notification.read).forEach(notification => {
+            updateDoc(doc(notificationsCollectionRef(db, appId, userId), notification.id), { read: true })
+                .catch(error => console.error("Error marking notification as read:", error));
+        });
+    }, [currentPage, notifications, db, userId]);
+
+    // All money rules live in the cheque service; the handlers below only parse input and show results.
+    // Balance changes and cheque lookups run on the backend, other reads go to Firestore directly.
+    const chequeService = useMemo(() => (db && functions
+        ? createRemoteChequeService({ functions, local: createChequeService({ storage: createFirestoreStorage(db, appId) }) })
+        : null), [db, functions]);
+
+    // Record acceptance of the current terms; the profile listener picks up the new version
+    const handleAcceptTerms = useCallback(async () => {
+        if (!functions) return;
+        setLoading(true);
         try {
-            const userDocRef = doc(db, 'artifacts', appId, 'users', userId, 'data', 'profile');
-            await updateDoc(userDocRef, {
-                balance: userBalance + amount
-            });
-            showMessage(`Баланс успешно обновлен на ${amount.toFixed(2)}$`, 'success');
+            await httpsCallable(functions, 'acceptTerms')({ version: CURRENT_TERMS_VERSION });
+            showMessage(t('terms.accepted'), 'success');
         } catch (error) {
-            console.error("Error changing balance:", error);
-            showMessage('Ошибка обновления баланса.', 'error');
+            console.error("Error accepting terms:", error);
+            showMessage(t('terms.acceptFailed'), 'error');
+        } finally {
+            setLoading(false);
+            setShowModal(false);
         }
-    }, [db, userId, userBalance, showMessage]);
+    }, [functions, showMessage, t]);
+
+    // Show the current terms, asking to accept them unless the user already has
+    const handleTerms = useCallback(() => {
+        const accepted = hasAcceptedTerms(userTerms);
+        setModalContent({
+            title: t('terms.title'),
+            message: (
+                <TermsDocument
+                    t={t}
+                    version={CURRENT_TERMS_VERSION}
+                    terms={getTermsDocument()}
+                    acceptedAt={accepted ? userTerms.terms_accepted_at : null}
+                />
+            ),
+            confirmLabel: accepted ? null : t('terms.accept'),
+            onConfirm: accepted ? () => setShowModal(false) : handleAcceptTerms,
+            onCancel: accepted ? null : () => setShowModal(false),
+        });
+        setShowModal(true);
+    }, [userTerms, handleAcceptTerms, t]);
 
     // Handle creating a new cheque
     const handleCreateCheque = useCallback(async () => {
-        if (!db || !userId) return;
+        if (!chequeService || !userId) return;
+        if (!hasAcceptedTerms(userTerms)) {
+            showMessage(t('terms.required'), 'error');
+            handleTerms();
+            return;
+        }
+
+        const amount = parseAmount(createAmount, createCurrency);
+        if (amount === null) {
+            showMessage(t('errors.invalid_amount'), 'error');
+            return;
+        }
 
-        const amount = parseFloat(createAmount);
-        if (isNaN(amount) || amount <= 0) {
-            showMessage('Пожалуйста, введите корректную сумму.', 'error');
+        const activations = parseActivations(createActivations);
+        if (activations === null) {
+            showMessage(t('errors.invalid_activations'), 'error');
             return;
         }
 
-        if (amount > userBalance) {
-            showMessage('Недостаточно средств на балансе.', 'error');
+        // The full amount for every activation is reserved up front
+        if (multiplyAmount(amount, activations) > (userBalances[createCurrency] || 0)) {
+            showMessage(t('errors.insufficient_funds'), 'error');
             return;
         }
 
         setLoading(true);
         try {
-            const chequeId = generateShortId(); // Use a simple short ID for display
-            const fullChequeId = `${userId}-${chequeId}`; // Unique ID for Firestore
-
-            // Decrement sender's balance
-            await changeBalance(-amount);
-
-            // Add cheque to sender's 'cheques' subcollection
-            const senderChequeDocRef = doc(db, 'artifacts', appId, 'users', userId, 'cheques', fullChequeId);
-            await setDoc(senderChequeDocRef, {
-                short_id: chequeId,
-                owner_id: userId,
-                amount: amount,
-                active: 1, // Active cheque
+            const cheque = await chequeService.create({
+                userId,
+                owner: { firstName: userName, username: userUsername },
+                amount,
+                currency: createCurrency,
+                activations,
                 anonymous: createIsAnonymous,
-                created_at: new Date().toISOString(),
-                // Store a copy in a public collection for easy lookup during activation
-                // This is a simplified approach, in a real app you might have a dedicated 'cheques' collection
-                // and use security rules to control access.
+                password: createPassword,
+                lifetimeHours: createLifetime ? Number(createLifetime === 'custom' ? createCustomHours : createLifetime) : null,
+                recipient: activations === 1 && createRecipient.trim() ? createRecipient.trim() : null,
+                memo: createMemo,
             });
 
-            // Store the cheque in a public collection accessible to all users for activation
-            const publicChequeDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'cheques', fullChequeId);
-            await setDoc(publicChequeDocRef, {
-                short_id: chequeId,
-                owner_id: userId,
-                amount: amount,
-                active: 1,
-                anonymous: createIsAnonymous,
-                created_at: new Date().toISOString(),
-                // Include owner_first_name for display during activation
-                owner_first_name: userName,
-                owner_username: auth.currentUser?.email ? auth.currentUser.email.split('@')[0] : `user-${userId.substring(0, 8)}`
-            });
-
-            showMessage(`Чек на сумму $${amount.toFixed(2)} успешно создан! ID: ${chequeId}`, 'success');
+            // Show the success step with the shareable links
+            setCreatedCheque({ shortId: cheque.short_id, amount, currency: createCurrency, activations, recipientUsername: cheque.recipient_username, memo: cheque.memo, links: getChequeLinks(cheque.short_id) });
             setCreateAmount('');
+            setCreateCurrency(DEFAULT_CURRENCY);
+            setCreateActivations('1');
             setCreateIsAnonymous(false);
-            setCreateStep(0);
-            setCurrentPage('home'); // Go back to home after creation
+            setCreatePassword('');
+            setCreateLifetime('');
+            setCreateCustomHours('');
+            setCreateRecipient('');
+            setCreateMemo('');
+            setCreateStep(2);
         } catch (error) {
             console.error("Error creating cheque:", error);
-            showMessage('Ошибка при создании чека.', 'error');
+            showMessage(errorText(t, error, 'create.failed'), 'error');
         } finally {
             setLoading(false);
         }
-    }, [db, userId, userBalance, createAmount, createIsAnonymous, changeBalance, userName, auth, showMessage]);
+    }, [chequeService, userId, userBalances, createAmount, createCurrency, createActivations, createIsAnonymous, createPassword, createLifetime, createCustomHours, createRecipient, createMemo, userName, userUsername, userTerms, handleTerms, showMessage, t]);
 
     // Handle activating a cheque
     const handleActivateCheque = useCallback(async () => {
-        if (!db || !userId) return;
-
-        if (!activateChequeId) {
-            showMessage('Пожалуйста, введите ID чека.', 'error');
+        if (!chequeService || !userId) return;
+        if (!hasAcceptedTerms(userTerms)) {
+            showMessage(t('terms.required'), 'error');
+            handleTerms();
             return;
         }
 
         setLoading(true);
         try {
-            // Find the cheque in the public collection
-            const publicChequesRef = collection(db, 'artifacts', appId, 'public', 'data', 'cheques');
-            const q = query(publicChequesRef, where('short_id', '==', activateChequeId));
-            const querySnapshot = await getDocs(q);
-
-            if (querySnapshot.empty) {
-                showMessage('Данного чека не существует.', 'error');
-                setLoading(false);
-                return;
-            }
-
-            let chequeData = null;
-            let chequeRef = null;
-            let fullChequeId = null;
-
-            // Iterate through results to find an active cheque
-            for (const docSnap of querySnapshot.docs) {
-                const data = docSnap.data();
-                if (data.active === 1) {
-                    chequeData = data;
-                    chequeRef = docSnap.ref;
-                    fullChequeId = docSnap.id;
-                    break;
-                }
-            }
-
-            if (!chequeData) {
-                showMessage('Данный чек был активирован или удалён.', 'error');
-                setLoading(false);
-                return;
-            }
-
-            if (chequeData.owner_id === userId) {
-                showMessage('Вы не можете активировать свой чек.', 'error');
-                setLoading(false);
-                return;
-            }
-
-            // Deactivate the cheque in both public and sender's collection
-            await updateDoc(chequeRef, { active: 0 }); // Public cheque
-            const senderChequeDocRef = doc(db, 'artifacts', appId, 'users', chequeData.owner_id, 'cheques', fullChequeId);
-            await updateDoc(senderChequeDocRef, { active: 0 }); // Sender's private cheque
-
-            // Increment receiver's balance
-            await changeBalance(chequeData.amount);
+            const chequeData = await chequeService.activate({ userId, shortId: activateChequeId, password: activatePassword });
 
-            // Optionally notify sender (requires cloud functions or more complex logic for web)
-            // For now, we'll just show a message to the activator
+            // The owner is notified through their inbox, written in the same transaction
 
-            let messageText = '';
-            if (chequeData.anonymous) {
-                messageText = `💰 Вы активировали анонимный чек на сумму $${chequeData.amount.toFixed(2)}.`;
-            } else {
-                messageText = `💰 Вы активировали чек от ${chequeData.owner_first_name} (@${chequeData.owner_username}) на сумму $${chequeData.amount.toFixed(2)}.`;
-            }
+            const amount = t.formatAmount(chequeData.amount, getCurrency(chequeData));
+            const messageText = chequeData.anonymous
+                ? t('activate.successAnonymous', { amount })
+                : t('activate.success', { name: chequeData.owner_first_name, username: chequeData.owner_username, amount });
 
-            showMessage(messageText, 'success');
+            showMessage(chequeData.memo ? `${messageText} ${t('activate.memo', { memo: chequeData.memo })}` : messageText, 'success');
             setActivateChequeId('');
+            setActivatePassword('');
+            setActivatePreview(null);
             setCurrentPage('home'); // Go back to home after activation
         } catch (error) {
             console.error("Error activating cheque:", error);
-            showMessage('Ошибка при активации чека.', 'error');
+            showMessage(errorText(t, error, 'activate.failed'), 'error');
         } finally {
             setLoading(false);
         }
-    }, [db, userId, activateChequeId, changeBalance, showMessage]);
+    }, [chequeService, userId, activateChequeId, activatePassword, userTerms, handleTerms, showMessage, t]);
+
+    // Copy a link or ID to the clipboard
+    const handleCopy = useCallback(async (text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            showMessage(t('common.copied'), 'success');
+        } catch (error) {
+            console.error("Error copying to clipboard:", error);
+            showMessage(t('common.copyFailed'), 'error');
+        }
+    }, [showMessage, t]);
+
+    // Show a QR code that encodes the cheque's activation link
+    const handleShowQr = useCallback(async (shortId) => {
+        try {
+            setQrDisplay({ shortId, dataUrl: await encodeQr(getChequeLinks(shortId).telegram) });
+        } catch (error) {
+            console.error("Error generating QR code:", error);
+            showMessage(t('qr.failed'), 'error');
+        }
+    }, [showMessage, t]);
+
+    // Fill in the cheque ID from a scanned QR code
+    const handleQrScanned = useCallback((text) => {
+        setShowScanner(false);
+        const chequeId = parseChequeId(text);
+        if (!chequeId) {
+            showMessage(t('qr.noChequeId'), 'error');
+            return;
+        }
+        setActivateChequeId(chequeId);
+    }, [showMessage, t]);
+
+    // Take an incoming personal cheque to the activation page, which asks for the password if it has one
+    const handleOpenIncoming = useCallback((cheque) => {
+        setActivateChequeId(cheque.short_id);
+        setActivatePassword('');
+        setActivatePreview({
+            shortId: cheque.short_id,
+            amount: cheque.amount,
+            currency: getCurrency(cheque),
+            anonymous: cheque.anonymous,
+            ownerFirstName: cheque.owner_first_name,
+            ownerUsername: cheque.owner_username,
+            hasPassword: !!cheque.has_password,
+            recipientUsername: cheque.recipient_username,
+            memo: cheque.memo,
+        });
+        setCurrentPage('activate');
+    }, []);
+
+    // Leave the create success step
+    const finishCreate = useCallback(() => {
+        setCreatedCheque(null);
+        setCreateStep(0);
+        setCurrentPage('home');
+    }, []);
+
+    // Opened through a cheque link: go straight to activation and show what the cheque holds
+    useEffect(() => {
+        if (!chequeService || !userId || !deepLinkChequeId) return;
+        setActivateChequeId(deepLinkChequeId);
+        setCurrentPage('activate');
+
+        const loadPreview = async () => {
+            try {
+                const data = await chequeService.preview({ userId, shortId: deepLinkChequeId });
+                setActivatePreview({
+                    shortId: data.short_id,
+                    amount: data.amount,
+                    currency: data.currency,
+                    anonymous: data.anonymous,
+                    ownerFirstName: data.owner_first_name,
+                    ownerUsername: data.owner_username,
+                    hasPassword: data.has_password,
+                    recipientUsername: data.recipient_username,
+                    memo: data.memo,
+                });
+            } catch (error) {
+                console.error("Error loading cheque preview:", error);
+                if (error instanceof ChequeError) {
+                    showMessage(errorText(tRef.current, error, 'activate.failed'), 'error');
+                }
+            }
+        };
+        loadPreview();
+        // Once per link; the translator comes through tRef, so a locale switch does not reopen the
+        // page or count another lookup
+    }, [chequeService, userId, deepLinkChequeId, showMessage, tRef]);
 
     // Handle deleting a cheque
     const handleDeleteCheque = useCallback((cheque) => {
+        const unusedAmount = multiplyAmount(cheque.amount, getActivationsLeft(cheque));
         setModalContent({
-            title: 'Подтверждение удаления',
-            message: `Вы действительно хотите удалить чек ${cheque.short_id} на сумму $${cheque.amount.toFixed(2)}?`,
+            title: t('delete.confirmTitle'),
+            message: t('delete.confirmMessage', { id: cheque.short_id, amount: t.formatAmount(unusedAmount, getCurrency(cheque)) }),
             onConfirm: async () => {
-                if (!db || !userId) return;
+                if (!chequeService || !userId) return;
                 setLoading(true);
                 try {
-                    // Delete from sender's private collection
-                    const senderChequeDocRef = doc(db, 'artifacts', appId, 'users', userId, 'cheques', cheque.id);
-                    await updateDoc(senderChequeDocRef, { active: 0 }); // Mark as inactive
+                    // Marks both copies cancelled and refunds the unused activations as one unit
+                    const { refund } = await chequeService.cancel({ userId, chequeId: cheque.id });
 
-                    // Delete from public collection
-                    const publicChequeDocRef = doc(db, 'artifacts', appId, 'public', 'data', 'cheques', cheque.id);
-                    await updateDoc(publicChequeDocRef, { active: 0 }); // Mark as inactive
-
-                    // Return amount to owner
-                    await changeBalance(cheque.amount);
-
-                    showMessage(`Чек ${cheque.short_id} был успешно удален. Сумма $${cheque.amount.toFixed(2)} возвращена на баланс.`, 'success');
+                    showMessage(t('delete.success', { id: cheque.short_id, amount: t.formatAmount(refund, getCurrency(cheque)) }), 'success');
                 } catch (error) {
                     console.error("Error deleting cheque:", error);
-                    showMessage('Ошибка при удалении чека.', 'error');
+                    showMessage(errorText(t, error, 'delete.failed'), 'error');
                 } finally {
                     setLoading(false);
                     setShowModal(false);
@@ -317,106 +811,516 @@ const App = () => {
             onCancel: () => setShowModal(false)
         });
         setShowModal(true);
-    }, [db, userId, changeBalance, showMessage]);
+    }, [chequeService, userId, showMessage, t]);
+
+    // The user's cheques in the open tab, matching the search, in the chosen order. Case is ignored
+    // on both sides: older codes are lowercase hex.
+    const visibleCheques = useMemo(() => {
+        const search = chequesSearch.trim().toUpperCase();
+        const sort = CHEQUE_SORTS.find(option => option.value === chequesSort) || CHEQUE_SORTS[0];
+        return myCheques
+            .filter(cheque => cheque.status === chequesTab && (!search || cheque.short_id.toUpperCase().includes(search)))
+            .sort(sort.compare);
+    }, [myCheques, chequesTab, chequesSort, chequesSearch]);
+
+    // The cheque shown in detail, kept live by the cheques listener
+    const detailedCheque = useMemo(() => (chequeDetails ? myCheques.find(cheque => cheque.id === chequeDetails.id) || null : null), [chequeDetails, myCheques]);
+
+    // Load its timeline, and again whenever it is activated or ends. Only those fields add events,
+    // so the effect keys on them and reads the cheque, which changes on every snapshot, via a ref.
+    const detailedChequeRef = useLatestRef(detailedCheque);
+    const timelineChequeId = detailedCheque?.id;
+    const timelineStatus = detailedCheque?.status;
+    const timelineActivationsLeft = detailedCheque?.activations_left;
+    useEffect(() => {
+        if (!chequeService || !userId || !timelineChequeId) return;
+        let stale = false;
+
+        const loadTimeline = async () => {
+            try {
+                const timeline = await chequeService.getTimeline({ userId, cheque: detailedChequeRef.current });
+                if (!stale) setChequeDetails(current => (current?.id === timelineChequeId ? { ...current, timeline } : current));
+            } catch (error) {
+                console.error("Error loading cheque timeline:", error);
+                showMessage(tRef.current('cheques.timelineFailed'), 'error');
+            }
+        };
+        loadTimeline();
+        return () => { stale = true; };
+    }, [chequeService, userId, timelineChequeId, timelineStatus, timelineActivationsLeft, detailedChequeRef, showMessage, tRef]);
+
+
+    // Load one page of the ledger for the wallet page, applying the current filters
+    const loadWalletPage = useCallback(async (pageIndex) => {
+        if (!db || !userId) return;
+        try {
+            const constraints = [];
+            if (walletFilter.type !== 'all') {
+                constraints.push(where('type', '==', walletFilter.type));
+            }
+            const { start, end } = dateRangeBounds(walletFilter.from, walletFilter.to);
+            if (start) {
+                constraints.push(where('created_at', '>=', start));
+            }
+            if (end) {
+                constraints.push(where('created_at', '<', end));
+            }
+            constraints.push(orderBy('created_at', 'desc'));
+            if (pageIndex > 0) {
+                constraints.push(startAfter(walletPageCursors.current[pageIndex - 1]));
+            }
+            constraints.push(limit(LEDGER_PAGE_SIZE + 1)); // One extra to know if there is a next page
+
+            const snapshot = await getDocs(query(ledgerCollectionRef(db, appId, userId), ...constraints));
+            const docs = snapshot.docs.slice(0, LEDGER_PAGE_SIZE);
+            setWalletEntries(docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+            setWalletHasMore(snapshot.docs.length > LEDGER_PAGE_SIZE);
+            walletPageCursors.current = [...walletPageCursors.current.slice(0, pageIndex), docs[docs.length - 1]];
+            setWalletPage(pageIndex);
+        } catch (error) {
+            console.error("Error loading transactions:", error);
+            showMessage(tRef.current('wallet.loadFailed'), 'error');
+        }
+    }, [db, userId, walletFilter, showMessage, tRef]);
 
+    // Reload the ledger from the first page when the wallet opens or the filters change
+    // (loadWalletPage changes with them)
+    useEffect(() => {
+        if (currentPage === 'wallet') {
+            loadWalletPage(0);
+        }
+    }, [currentPage, loadWalletPage]);
+
+    // Download the cheques created and the balance movements recorded in the wallet's date range
+    // (see exportData.js for the formats); `kind` is 'cheques', 'transactions' or 'json'
+    const handleExport = useCallback(async (kind) => {
+        if (!db || !userId) return;
+        const range = { from: walletFilter.from || null, to: walletFilter.to || null };
+        const bounds = dateRangeBounds(range.from, range.to);
+        setIsExporting(true);
+        try {
+            const cheques = myCheques
+                .filter(cheque => isInRange(cheque.created_at, bounds))
+                .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+            let transactions = [];
+            if (kind !== 'cheques') {
+                const constraints = [];
+                if (bounds.start) constraints.push(where('created_at', '>=', bounds.start));
+                if (bounds.end) constraints.push(where('created_at', '<', bounds.end));
+                const snapshot = await getDocs(query(ledgerCollectionRef(db, appId, userId), ...constraints, orderBy('created_at', 'asc')));
+                transactions = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+            }
+
+            if (kind === 'cheques') {
+                downloadFile(chequesCsvFile(cheques, range));
+            } else if (kind === 'transactions') {
+                downloadFile(transactionsCsvFile(transactions, range));
+            } else {
+                downloadFile(jsonFile({ cheques, transactions, ...range }));
+            }
+            showMessage(t('wallet.exported'), 'success');
+        } catch (error) {
+            console.error("Error exporting data:", error);
+            showMessage(t('wallet.exportFailed'), 'error');
+        } finally {
+            setIsExporting(false);
+        }
+    }, [db, userId, walletFilter, myCheques, showMessage, t]);
 
-    // Placeholder for "Пополнить баланс" - in a real app, this would integrate with a payment gateway
+    // Open the top-up page
     const handleWalletTopUp = useCallback(() => {
-        setModalContent({
-            title: 'Пополнение баланса',
-            message: 'Функционал пополнения баланса находится в разработке. Для реального использования потребуется интеграция с платежной системой.',
-            onConfirm: () => setShowModal(false),
-            onCancel: null
-        });
-        setShowModal(true);
+        setTopUpAmount('');
+        setTopUpInvoice(null);
+        setCurrentPage('topup');
     }, []);
 
-    // Placeholder for terms agreement
-    const handleTerms = useCallback(() => {
-        setModalContent({
-            title: 'Лицензионное соглашение',
-            message: `
-                <p><b>Лицензионное соглашение веб-приложения «Bill Activator»</b></p>
-                <p>Актуальная редакция от ${new Date().toLocaleDateString('ru-RU', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })}.</p>
-                <p>Наш сервис не взимает комиссию за операции. Вы можете создавать неограниченное количество чеков на любые суммы.</p>
-                <p><b>Важно: Данное веб-приложение не является официальным продуктом Telegram. Все операции осуществляются пользователями добровольно и под их личную ответственность.</b></p>
-                <p>Продолжая использовать приложение, вы соглашаетесь с этими условиями.</p>
-            `,
-            onConfirm: () => setShowModal(false),
-            onCancel: null
-        });
-        setShowModal(true);
-    }, []);
+    // Ask the payment provider for an invoice and record it, so it can be credited later
+    const handleCreateInvoice = useCallback(async () => {
+        if (!chequeService || !userId) return;
 
+        const amount = parseAmount(topUpAmount, topUpCurrency);
+        if (amount === null) {
+            showMessage(t('errors.invalid_amount'), 'error');
+            return;
+        }
 
-    if (loading) {
-        return (
-            <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-900 to-blue-700 text-white">
-                <div className="text-xl font-semibold animate-pulse">Загрузка...</div>
-            </div>
-        );
-    }
+        setLoading(true);
+        try {
+            const invoice = await paymentProvider.createInvoice({ userId, amount, currency: topUpCurrency });
+            await chequeService.recordInvoice({ userId, invoiceId: invoice.id, provider: paymentProvider.name, amount: invoice.amount, currency: topUpCurrency });
+            setTopUpInvoice({ ...invoice, currency: topUpCurrency, status: 'pending' });
+        } catch (error) {
+            console.error("Error creating invoice:", error);
+            showMessage(t('topUp.invoiceFailed'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [chequeService, userId, topUpAmount, topUpCurrency, showMessage, t]);
 
-    const PageContainer = ({ children, pageKey }) => (
-        <motion.div
-            key={pageKey}
-            initial={{ opacity: 0, y: 50 }}
-            animate={{ opacity: 1, y: 0 }}
-            exit={{ opacity: 0, y: -50 }}
-            transition={{ duration: 0.3 }}
-            className="w-full flex-grow flex flex-col items-center justify-start p-4 overflow-y-auto"
-        >
-            {children}
-        </motion.div>
-    );
+    // Wait for the open invoice to be paid, by polling and through the provider's push confirmation
+    useEffect(() => {
+        if (!chequeService || !userId || !topUpInvoice || topUpInvoice.status !== 'pending') return;
+        const invoiceId = topUpInvoice.id;
+        let handled = false;
 
-    const commonClasses = {
-        button: "w-full py-3 px-6 rounded-xl shadow-lg flex items-center justify-center text-lg font-semibold transition-all duration-300 ease-in-out transform hover:scale-105 active:scale-95",
-        input: "w-full p-3 rounded-xl bg-blue-800 text-white text-lg focus:outline-none focus:ring-2 focus:ring-blue-400 placeholder-blue-300 transition-all duration-300 ease-in-out",
-        card: "bg-blue-800 bg-opacity-70 backdrop-blur-sm rounded-2xl p-6 shadow-2xl w-full max-w-sm transition-all duration-300 ease-in-out transform hover:shadow-blue-500/50",
-        message: "p-3 rounded-xl text-center text-white font-medium mb-4 transition-all duration-300 ease-in-out",
-    };
+        const handleStatus = async (status) => {
+            if (handled || status === 'pending') return;
+            handled = true;
+            if (status === 'expired') {
+                setTopUpInvoice(invoice => ({ ...invoice, status }));
+                showMessage(t('topUp.invoiceExpired'), 'error');
+                return;
+            }
+            try {
+                // Idempotent, so a confirmation delivered twice credits the invoice once
+                const credited = await chequeService.creditInvoice({ userId, invoiceId });
+                setTopUpInvoice(invoice => ({ ...invoice, status: 'credited' }));
+                if (credited) {
+                    showMessage(t('topUp.success', { amount: t.formatAmount(topUpInvoice.amount, topUpInvoice.currency) }), 'success');
+                }
+            } catch (error) {
+                console.error("Error crediting invoice:", error);
+                showMessage(errorText(t, error, 'topUp.creditFailed'), 'error');
+                handled = false; // Try again on the next confirmation
+            }
+        };
 
-    return (
-        <div className="relative min-h-screen bg-gradient-to-br from-blue-900 to-blue-700 text-white font-inter flex flex-col items-center">
-            {/* Background Animations */}
-            <div className="absolute inset-0 overflow-hidden z-0">
-                <div className="absolute -top-1/4 -left-1/4 w-1/2 h-1/2 bg-blue-600 rounded-full mix-blend-multiply filter blur-3xl opacity-30 animate-blob-one"></div>
-                <div className="absolute -bottom-1/4 -right-1/4 w-1/2 h-1/2 bg-blue-500 rounded-full mix-blend-multiply filter blur-3xl opacity-30 animate-blob-two animation-delay-2000"></div>
-                <div className="absolute top-1/2 left-1/4 w-1/3 h-1/3 bg-blue-400 rounded-full mix-blend-multiply filter blur-3xl opacity-30 animate-blob-three animation-delay-4000"></div>
-            </div>
+        const unsubscribe = paymentProvider.subscribe(invoiceId, handleStatus);
+        const interval = setInterval(async () => {
+            try {
+                handleStatus(await paymentProvider.getInvoiceStatus(invoiceId));
+            } catch (error) {
+                console.error("Error polling invoice status:", error);
+            }
+        }, TOP_UP_POLL_INTERVAL_MS);
 
-            <div className="relative z-10 flex flex-col items-center w-full max-w-md mx-auto min-h-screen">
-                <header className="w-full p-4 flex justify-between items-center bg-blue-900 bg-opacity-80 backdrop-blur-md rounded-b-3xl shadow-xl z-20 sticky top-0">
-                    <motion.h1
-                        className="text-3xl font-bold text-blue-100"
-                        initial={{ opacity: 0, y: -20 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        transition={{ duration: 0.5, delay: 0.2 }}
-                    >
-                        Bill Activator
-                    </motion.h1>
-                    <motion.div
-                        className="flex items-center"
-                        initial={{ opacity: 0, y: -20 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        transition={{ duration: 0.5, delay: 0.4 }}
-                    >
-                        <User className="w-6 h-6 text-blue-300 mr-2" />
-                        <span className="text-xl font-medium text-blue-200">{userName}</span>
-                    </motion.div>
-                </header>
+        return () => {
+            unsubscribe();
+            clearInterval(interval);
+        };
+    }, [chequeService, userId, topUpInvoice, showMessage, t]);
 
-                <main className="flex-grow w-full flex flex-col items-center p-4 pt-8 z-10">
-                    {message.text && (
-                        <motion.div
-                            initial={{ opacity: 0, y: -20 }}
-                            animate={{ opacity: 1, y: 0 }}
-                            exit={{ opacity: 0, y: -20 }}
-                            className={`${commonClasses.message} ${message.type === 'success' ? 'bg-green-600' : message.type === 'error' ? 'bg-red-600' : 'bg-blue-600'}`}
-                        >
-                            {message.text}
-                        </motion.div>
+    // Move the requested amount from the balance into the withdrawal hold and open a request
+    const handleCreateWithdrawal = useCallback(async () => {
+        if (!chequeService || !userId) return;
+
+        const amount = parseAmount(withdrawAmount, withdrawCurrency);
+        if (amount === null) {
+            showMessage(t('errors.invalid_amount'), 'error');
+            return;
+        }
+
+        if (amount > (userBalances[withdrawCurrency] || 0)) {
+            showMessage(t('errors.insufficient_funds'), 'error');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await chequeService.requestWithdrawal({ userId, amount, currency: withdrawCurrency, destination: withdrawDestination });
+
+            showMessage(t('withdraw.success', { amount: t.formatAmount(amount, withdrawCurrency) }), 'success');
+            setWithdrawAmount('');
+            setWithdrawDestination('');
+        } catch (error) {
+            console.error("Error creating withdrawal:", error);
+            showMessage(errorText(t, error, 'withdraw.failed'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [chequeService, userId, userBalances, withdrawAmount, withdrawCurrency, withdrawDestination, showMessage, t]);
+
+    // Fill in the name form when the profile page opens, and with the saved name after a change
+    useEffect(() => {
+        if (currentPage === 'profile') {
+            setProfileNameInput(userName);
+        }
+    }, [currentPage, userName]);
+
+    // Load the totals when the profile page opens
+    useEffect(() => {
+        if (currentPage !== 'profile' || !chequeService || !userId) return;
+        setProfileStats(null);
+        chequeService.getStats({ userId })
+            .then(setProfileStats)
+            .catch((error) => {
+                console.error("Error loading profile stats:", error);
+                showMessage(tRef.current('profile.statsFailed'), 'error');
+            });
+    }, [currentPage, chequeService, userId, showMessage, tRef]);
+
+    // Save the name shown in the header and on the user's cheques; the Telegram first name stays as is
+    const handleSaveDisplayName = useCallback(async () => {
+        if (!db || !userId) return;
+
+        const displayName = profileNameInput.trim();
+        if (!displayName || displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+            showMessage(t('profile.invalidName', { max: MAX_DISPLAY_NAME_LENGTH }), 'error');
+            return;
+        }
+
+        try {
+            await updateDoc(profileDocRef(db, appId, userId), { display_name: displayName });
+            showMessage(t('profile.nameSaved'), 'success');
+        } catch (error) {
+            console.error("Error saving display name:", error);
+            showMessage(t('profile.nameSaveFailed'), 'error');
+        }
+    }, [db, userId, profileNameInput, showMessage, t]);
+
+    // Admin console. The admin callables check the admin claim themselves and write every action
+    // to the audit log (functions/admin.js); the client only shows what they return.
+    const callAdmin = useCallback(async (name, data) => (await httpsCallable(functions, name)(data)).data, [functions]);
+
+    // The newest page of the audit log, or with `before` (created_at of the last entry shown) the next one
+    const loadAuditLog = useCallback(async (before = null) => {
+        try {
+            const entries = await callAdmin('adminAuditLog', { targetUid: adminAuditTarget || null, before });
+            setAdminAuditEntries(previous => (before ? [...previous, ...entries] : entries));
+            setAdminAuditHasMore(entries.length === AUDIT_LOG_PAGE_SIZE);
+        } catch (error) {
+            console.error("Error loading audit log:", error);
+            showMessage(tRef.current('admin.auditLoadFailed'), 'error');
+        }
+    }, [callAdmin, adminAuditTarget, showMessage, tRef]);
+
+    useEffect(() => {
+        if (currentPage === 'admin' && isAdmin && functions) {
+            loadAuditLog();
+        }
+    }, [currentPage, isAdmin, functions, loadAuditLog]);
+
+    const handleAdminSearch = useCallback(async () => {
+        const searchQuery = adminQuery.trim();
+        if (!functions || !searchQuery) return;
+        setLoading(true);
+        try {
+            setAdminResults({ query: searchQuery, ...(await callAdmin('adminSearch', { query: searchQuery })) });
+            setAdminAdjust(null);
+        } catch (error) {
+            console.error("Error searching accounts:", error);
+            showMessage(t('admin.failed', { reason: adminFailureReason(t, error) }), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [functions, adminQuery, callAdmin, showMessage, t]);
+
+    // Run an admin action, then refresh the search results and the audit log
+    const runAdminAction = useCallback(async (name, data, successText) => {
+        setLoading(true);
+        try {
+            await callAdmin(name, { ...data, reason: adminReason });
+            showMessage(successText, 'success');
+            setAdminReason('');
+            setAdminAdjust(null);
+            if (adminResults) {
+                setAdminResults({ query: adminResults.query, ...(await callAdmin('adminSearch', { query: adminResults.query })) });
+            }
+            await loadAuditLog();
+        } catch (error) {
+            console.error("Error running admin action:", error);
+            showMessage(t('admin.failed', { reason: adminFailureReason(t, error) }), 'error');
+        } finally {
+            setLoading(false);
+            setShowModal(false);
+        }
+    }, [callAdmin, adminReason, adminResults, loadAuditLog, showMessage, t]);
+
+    const handleAdminFreeze = useCallback((user) => {
+        const frozen = !user.frozen;
+        runAdminAction('adminSetUserFrozen', { uid: user.id, frozen }, t(frozen ? 'admin.frozen' : 'admin.unfrozen', { user: user.username || user.id }));
+    }, [runAdminAction, t]);
+
+    const handleAdminCancelCheque = useCallback((cheque) => {
+        const refund = t.formatAmount(multiplyAmount(cheque.amount, getActivationsLeft(cheque)), getCurrency(cheque));
+        setModalContent({
+            title: t('admin.cancelCheque'),
+            message: t('admin.cancelConfirm', { id: cheque.short_id, amount: refund }),
+            onConfirm: () => runAdminAction('adminCancelCheque', { chequeId: cheque.id }, t('admin.cancelled', { id: cheque.short_id, amount: refund })),
+            onCancel: () => setShowModal(false)
+        });
+        setShowModal(true);
+    }, [runAdminAction, t]);
+
+    // Credit (sign 1) or debit (sign -1) the amount in the adjustment form
+    const handleAdminAdjust = useCallback((user, sign) => {
+        const amount = parseAmount(adminAdjust?.amount || '', adminAdjust?.currency);
+        if (amount === null) {
+            showMessage(t('errors.invalid_amount'), 'error');
+            return;
+        }
+        if (!adminReason.trim()) {
+            showMessage(t('admin.reasonRequired'), 'error');
+            return;
+        }
+        const formatted = t.formatAmount(sign * amount, adminAdjust.currency);
+        const idempotencyKey = crypto.randomUUID().replace(/-/g, ''); // One per confirmed adjustment
+        setModalContent({
+            title: t('admin.adjustBalance'),
+            message: t('admin.adjustConfirm', { amount: formatted, user: user.username || user.id, reason: adminReason.trim() }),
+            onConfirm: () => runAdminAction('adminAdjustBalance', { idempotencyKey, uid: user.id, amount: sign * amount, currency: adminAdjust.currency }, t('admin.adjusted', { amount: formatted, user: user.username || user.id })),
+            onCancel: () => setShowModal(false)
+        });
+        setShowModal(true);
+    }, [adminAdjust, adminReason, runAdminAction, showMessage, t]);
+
+    // Switch the interface language and remember the choice
+    const handleLocaleChange = useCallback((nextLocale) => {
+        saveLocale(nextLocale);
+        setLocale(nextLocale);
+    }, []);
+
+    // Inside Telegram the MainButton drives the create/activate flows instead of the on-page buttons
+    useEffect(() => {
+        if (!telegram) return;
+        const { MainButton } = telegram;
+
+        let text = '';
+        let action = null;
+        let enabled = true;
+        if (currentPage === 'create' && createStep === 0) {
+            text = t('common.next');
+            action = () => setCreateStep(1);
+            enabled = parseAmount(createAmount, createCurrency) !== null && parseActivations(createActivations) !== null;
+        } else if (currentPage === 'create' && createStep === 1) {
+            text = t('create.submit');
+            action = handleCreateCheque;
+        } else if (currentPage === 'create' && createStep === 2) {
+            text = t('common.done');
+            action = finishCreate;
+        } else if (currentPage === 'activate') {
+            text = t('activate.submit');
+            action = handleActivateCheque;
+        }
+
+        if (!action || loading) {
+            MainButton.hide();
+            return;
+        }
+        MainButton.setText(text);
+        if (enabled) {
+            MainButton.enable();
+        } else {
+            MainButton.disable();
+        }
+        MainButton.show();
+        MainButton.onClick(action);
+        return () => MainButton.offClick(action);
+    }, [telegram, currentPage, createStep, createAmount, createCurrency, createActivations, loading, handleCreateCheque, handleActivateCheque, finishCreate, t]);
+
+    // The Telegram BackButton steps back through the create flow, otherwise returns home
+    useEffect(() => {
+        if (!telegram) return;
+        const { BackButton } = telegram;
+
+        if (currentPage === 'home') {
+            BackButton.hide();
+            return;
+        }
+        const goBack = () => {
+            if (currentPage === 'create' && createStep === 1) {
+                setCreateStep(0);
+            } else if (currentPage === 'create' && createStep === 2) {
+                finishCreate();
+            } else {
+                setCurrentPage('home');
+            }
+        };
+        BackButton.show();
+        BackButton.onClick(goBack);
+        return () => BackButton.offClick(goBack);
+    }, [telegram, currentPage, createStep, finishCreate]);
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-900 to-blue-700 text-white">
+                <div className="text-xl font-semibold animate-pulse">{t('app.loading')}</div>
+            </div>
+        );
+    }
+
+    const PageContainer = ({ children, pageKey }) => (
+        <motion.div
+            key={pageKey}
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -50 }}
+            transition={{ duration: 0.3 }}
+            className="w-full flex-grow flex flex-col items-center justify-start p-4 overflow-y-auto"
+        >
+            {children}
+        </motion.div>
+    );
+
+    const unreadNotifications = notifications.filter(notification => !notification.read).length;
+
+    const commonClasses = {
+        button: "w-full py-3 px-6 rounded-xl shadow-lg flex items-center justify-center text-lg font-semibold transition-all duration-300 ease-in-out transform hover:scale-105 active:scale-95",
+        input: "w-full p-3 rounded-xl bg-blue-800 text-white text-lg focus:outline-none focus:ring-2 focus:ring-blue-400 placeholder-blue-300 transition-all duration-300 ease-in-out",
+        card: "bg-blue-800 bg-opacity-70 backdrop-blur-sm rounded-2xl p-6 shadow-2xl w-full max-w-sm transition-all duration-300 ease-in-out transform hover:shadow-blue-500/50",
+        message: "p-3 rounded-xl text-center text-white font-medium mb-4 transition-all duration-300 ease-in-out",
+    };
+
+    return (
+        <div className="relative min-h-screen bg-gradient-to-br from-blue-900 to-blue-700 text-white font-inter flex flex-col items-center">
+            {/* Background Animations */}
+            <div className="absolute inset-0 overflow-hidden z-0">
+                <div className="absolute -top-1/4 -left-1/4 w-1/2 h-1/2 bg-blue-600 rounded-full mix-blend-multiply filter blur-3xl opacity-30 animate-blob-one"></div>
+                <div className="absolute -bottom-1/4 -right-1/4 w-1/2 h-1/2 bg-blue-500 rounded-full mix-blend-multiply filter blur-3xl opacity-30 animate-blob-two animation-delay-2000"></div>
+                <div className="absolute top-1/2 left-1/4 w-1/3 h-1/3 bg-blue-400 rounded-full mix-blend-multiply filter blur-3xl opacity-30 animate-blob-three animation-delay-4000"></div>
+            </div>
+
+            <div className="relative z-10 flex flex-col items-center w-full max-w-md mx-auto min-h-screen">
+                <header className="w-full p-4 flex justify-between items-center bg-blue-900 bg-opacity-80 backdrop-blur-md rounded-b-3xl shadow-xl z-20 sticky top-0">
+                    <motion.h1
+                        className="text-3xl font-bold text-blue-100"
+                        initial={{ opacity: 0, y: -20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ duration: 0.5, delay: 0.2 }}
+                    >
+                        {t('app.title')}
+                    </motion.h1>
+                    <motion.div
+                        className="flex items-center"
+                        initial={{ opacity: 0, y: -20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        transition={{ duration: 0.5, delay: 0.4 }}
+                    >
+                        <motion.button
+                            className="relative mr-4 text-blue-300 hover:text-blue-200 transition-colors duration-200"
+                            onClick={() => setCurrentPage('notifications')}
+                            whileHover={{ scale: 1.1 }}
+                            whileTap={{ scale: 0.9 }}
+                        >
+                            <Bell className="w-6 h-6" />
+                            {unreadNotifications > 0 && (
+                                <span className="absolute -top-2 -right-2 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-bold flex items-center justify-center">
+                                    {unreadNotifications}
+                                </span>
+                            )}
+                        </motion.button>
+                        <motion.button
+                            className="flex items-center text-blue-200 hover:text-blue-100 transition-colors duration-200"
+                            onClick={() => setCurrentPage('profile')}
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                        >
+                            <User className="w-6 h-6 text-blue-300 mr-2" />
+                            <span className="text-xl font-medium">{userName}</span>
+                        </motion.button>
+                    </motion.div>
+                </header>
+
+                <main className="flex-grow w-full flex flex-col items-center p-4 pt-8 z-10">
+                    {message.text && (
+                        <motion.div
+                            initial={{ opacity: 0, y: -20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            exit={{ opacity: 0, y: -20 }}
+                            className={`${commonClasses.message} ${message.type === 'success' ? 'bg-green-600' : message.type === 'error' ? 'bg-red-600' : 'bg-blue-600'}`}
+                        >
+                            {message.text}
+                        </motion.div>
                     )}
 
                     <AnimatePresence mode='wait'>
@@ -428,25 +1332,76 @@ const App = () => {
                                     animate={{ scale: 1, opacity: 1 }}
                                     transition={{ duration: 0.5, type: "spring", stiffness: 120 }}
                                 >
-                                    <h2 className="text-3xl font-bold mb-2 text-blue-100">Ваш баланс</h2>
-                                    <motion.p
-                                        className="text-5xl font-extrabold text-blue-50 tracking-wide"
-                                        initial={{ y: 20, opacity: 0 }}
-                                        animate={{ y: 0, opacity: 1 }}
-                                        transition={{ delay: 0.3, duration: 0.5 }}
-                                    >
-                                        ${userBalance.toFixed(2)}
-                                    </motion.p>
+                                    {userFrozen && <p className="text-red-300 mb-2">{t('errors.account_frozen')}</p>}
+                                    <h2 className="text-3xl font-bold mb-2 text-blue-100">{t('home.balance')}</h2>
+                                    {currenciesToShow(userBalances).map((currency, index) => (
+                                        <motion.p
+                                            key={currency}
+                                            className={`${index === 0 ? 'text-5xl' : 'text-3xl mt-2'} font-extrabold text-blue-50 tracking-wide`}
+                                            initial={{ y: 20, opacity: 0 }}
+                                            animate={{ y: 0, opacity: 1 }}
+                                            transition={{ delay: 0.3 + index * 0.1, duration: 0.5 }}
+                                        >
+                                            {t.formatAmount(userBalances[currency] || 0, currency)}
+                                        </motion.p>
+                                    ))}
+                                    {Object.keys(CURRENCIES).filter(currency => userHeldBalances[currency] > 0).map((currency) => (
+                                        <p key={currency} className="text-blue-300 mt-1">
+                                            {t('home.held', { amount: t.formatAmount(userHeldBalances[currency], currency) })}
+                                        </p>
+                                    ))}
                                     <motion.button
                                         className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 mt-6 text-blue-100`}
                                         onClick={handleWalletTopUp}
                                         whileHover={{ scale: 1.02 }}
                                         whileTap={{ scale: 0.98 }}
                                     >
-                                        <Wallet className="w-5 h-5 mr-2" /> Пополнить баланс
+                                        <Wallet className="w-5 h-5 mr-2" /> {t('home.topUp')}
+                                    </motion.button>
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-blue-700 hover:bg-blue-600 mt-3 text-blue-100`}
+                                        onClick={() => setCurrentPage('withdraw')}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        <ArrowUpCircle className="w-5 h-5 mr-2" /> {t('home.withdraw')}
                                     </motion.button>
                                 </motion.div>
 
+                                {incomingCheques.length > 0 && (
+                                    <motion.div
+                                        className={`${commonClasses.card} mt-6`}
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        transition={{ delay: 0.3, duration: 0.5 }}
+                                    >
+                                        <h3 className="text-xl font-bold mb-3 text-blue-100">{t('home.incoming')}</h3>
+                                        <ul className="space-y-3">
+                                            {incomingCheques.map((cheque) => (
+                                                <li key={cheque.id} className="flex items-center justify-between bg-blue-700 rounded-xl p-3 shadow-md">
+                                                    <span className="text-blue-100">
+                                                        <span className="block font-bold text-blue-50">{t.formatAmount(cheque.amount, getCurrency(cheque))}</span>
+                                                        <span className="block text-xs text-blue-300">
+                                                            {cheque.anonymous
+                                                                ? t('activate.anonymousCheque')
+                                                                : t('activate.from', { name: cheque.owner_first_name, username: cheque.owner_username })}
+                                                        </span>
+                                                        {cheque.memo && <span className="block text-xs text-blue-200 break-words">{cheque.memo}</span>}
+                                                    </span>
+                                                    <motion.button
+                                                        className="py-2 px-4 rounded-xl bg-green-600 hover:bg-green-500 text-blue-100 font-semibold"
+                                                        onClick={() => handleOpenIncoming(cheque)}
+                                                        whileHover={{ scale: 1.05 }}
+                                                        whileTap={{ scale: 0.95 }}
+                                                    >
+                                                        {t('activate.submit')}
+                                                    </motion.button>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </motion.div>
+                                )}
+
                                 <motion.button
                                     className={`${commonClasses.button} bg-purple-600 hover:bg-purple-500 mt-6 text-blue-100`}
                                     onClick={() => setCurrentPage('create')}
@@ -456,7 +1411,7 @@ const App = () => {
                                     whileHover={{ scale: 1.02 }}
                                     whileTap={{ scale: 0.98 }}
                                 >
-                                    <PlusCircle className="w-5 h-5 mr-2" /> Создать чек
+                                    <PlusCircle className="w-5 h-5 mr-2" /> {t('home.createCheque')}
                                 </motion.button>
 
                                 <motion.button
@@ -468,19 +1423,19 @@ const App = () => {
                                     whileHover={{ scale: 1.02 }}
                                     whileTap={{ scale: 0.98 }}
                                 >
-                                    <CheckCircle className="w-5 h-5 mr-2" /> Активировать чек
+                                    <CheckCircle className="w-5 h-5 mr-2" /> {t('home.activateCheque')}
                                 </motion.button>
 
                                 <motion.button
-                                    className={`${commonClasses.button} bg-red-600 hover:bg-red-500 mt-4 text-blue-100`}
-                                    onClick={() => setCurrentPage('delete')}
+                                    className={`${commonClasses.button} bg-indigo-600 hover:bg-indigo-500 mt-4 text-blue-100`}
+                                    onClick={() => { setChequeDetails(null); setCurrentPage('cheques'); }}
                                     initial={{ opacity: 0, y: 20 }}
                                     animate={{ opacity: 1, y: 0 }}
                                     transition={{ delay: 0.6, duration: 0.5 }}
                                     whileHover={{ scale: 1.02 }}
                                     whileTap={{ scale: 0.98 }}
                                 >
-                                    <Trash2 className="w-5 h-5 mr-2" /> Удалить чек
+                                    <List className="w-5 h-5 mr-2" /> {t('home.myCheques')}
                                 </motion.button>
 
                                 <motion.button
@@ -492,9 +1447,32 @@ const App = () => {
                                     whileHover={{ scale: 1.02 }}
                                     whileTap={{ scale: 0.98 }}
                                 >
-                                    <Info className="w-5 h-5 mr-2" /> Лицензионное соглашение
+                                    <Info className="w-5 h-5 mr-2" /> {t('home.terms')}
                                 </motion.button>
 
+                                {isAdmin && (
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 mt-4 text-blue-100`}
+                                        onClick={() => setCurrentPage('admin')}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        <Shield className="w-5 h-5 mr-2" /> {t('home.admin')}
+                                    </motion.button>
+                                )}
+
+                                <div className="flex justify-center space-x-2 mt-4">
+                                    {Object.entries(LOCALES).map(([code, { name }]) => (
+                                        <button
+                                            key={code}
+                                            className={`px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${code === locale ? 'bg-blue-600 text-blue-50' : 'text-blue-300 hover:text-blue-200'}`}
+                                            onClick={() => handleLocaleChange(code)}
+                                        >
+                                            {name}
+                                        </button>
+                                    ))}
+                                </div>
+
                             </PageContainer>
                         )}
 
@@ -506,7 +1484,7 @@ const App = () => {
                                     animate={{ opacity: 1, scale: 1 }}
                                     transition={{ duration: 0.3 }}
                                 >
-                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">Создание нового чека</h2>
+                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('create.title')}</h2>
                                     {createStep === 0 && (
                                         <>
                                             <motion.p
@@ -515,12 +1493,12 @@ const App = () => {
                                                 animate={{ opacity: 1 }}
                                                 transition={{ delay: 0.2 }}
                                             >
-                                                Отправьте сумму чека:
+                                                {t('create.amountPrompt')}
                                             </motion.p>
                                             <motion.input
-                                                type="number"
-                                                step="0.01"
-                                                placeholder="Например, 10.50"
+                                                type="text"
+                                                inputMode="decimal"
+                                                placeholder={t('common.amountPlaceholder')}
                                                 value={createAmount}
                                                 onChange={(e) => setCreateAmount(e.target.value)}
                                                 className={`${commonClasses.input} mb-4`}
@@ -528,23 +1506,60 @@ const App = () => {
                                                 animate={{ y: 0, opacity: 1 }}
                                                 transition={{ delay: 0.3 }}
                                             />
-                                            <motion.button
-                                                className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100`}
-                                                onClick={() => setCreateStep(1)}
-                                                disabled={!createAmount || parseFloat(createAmount) <= 0}
-                                                whileHover={{ scale: 1.02 }}
-                                                whileTap={{ scale: 0.98 }}
+                                            <motion.select
+                                                value={createCurrency}
+                                                onChange={(e) => setCreateCurrency(e.target.value)}
+                                                className={`${commonClasses.input} mb-4`}
+                                                initial={{ y: 10, opacity: 0 }}
+                                                animate={{ y: 0, opacity: 1 }}
+                                                transition={{ delay: 0.3 }}
                                             >
-                                                Далее
-                                            </motion.button>
-                                            <motion.button
-                                                className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-2`}
-                                                onClick={() => setCurrentPage('home')}
-                                                whileHover={{ scale: 1.02 }}
-                                                whileTap={{ scale: 0.98 }}
+                                                {Object.keys(CURRENCIES).map((currency) => (
+                                                    <option key={currency} value={currency}>
+                                                        {t('create.currencyOption', { currency, amount: t.formatAmount(userBalances[currency] || 0, currency) })}
+                                                    </option>
+                                                ))}
+                                            </motion.select>
+                                            <motion.p
+                                                className="text-blue-200 mb-2"
+                                                initial={{ opacity: 0 }}
+                                                animate={{ opacity: 1 }}
+                                                transition={{ delay: 0.3 }}
                                             >
-                                                Отмена
-                                            </motion.button>
+                                                {t('create.activationsPrompt')}
+                                            </motion.p>
+                                            <motion.input
+                                                type="number"
+                                                step="1"
+                                                min="1"
+                                                value={createActivations}
+                                                onChange={(e) => setCreateActivations(e.target.value)}
+                                                className={`${commonClasses.input} mb-4`}
+                                                initial={{ y: 10, opacity: 0 }}
+                                                animate={{ y: 0, opacity: 1 }}
+                                                transition={{ delay: 0.4 }}
+                                            />
+                                            {!telegram && (
+                                                <>
+                                                    <motion.button
+                                                        className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100`}
+                                                        onClick={() => setCreateStep(1)}
+                                                        disabled={parseAmount(createAmount, createCurrency) === null || parseActivations(createActivations) === null}
+                                                        whileHover={{ scale: 1.02 }}
+                                                        whileTap={{ scale: 0.98 }}
+                                                    >
+                                                        {t('common.next')}
+                                                    </motion.button>
+                                                    <motion.button
+                                                        className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-2`}
+                                                        onClick={() => setCurrentPage('home')}
+                                                        whileHover={{ scale: 1.02 }}
+                                                        whileTap={{ scale: 0.98 }}
+                                                    >
+                                                        {t('common.cancel')}
+                                                    </motion.button>
+                                                </>
+                                            )}
                                         </>
                                     )}
                                     {createStep === 1 && (
@@ -555,8 +1570,18 @@ const App = () => {
                                                 animate={{ opacity: 1 }}
                                                 transition={{ delay: 0.2 }}
                                             >
-                                                Сумма чека: <b>${parseFloat(createAmount).toFixed(2)}</b>
+                                                {boldValues(t.parts('create.amountSummary', { amount: t.formatAmount(parseAmount(createAmount, createCurrency), createCurrency) }))}
                                             </motion.p>
+                                            {parseActivations(createActivations) > 1 && (
+                                                <motion.p
+                                                    className="text-blue-200 mb-2"
+                                                    initial={{ opacity: 0 }}
+                                                    animate={{ opacity: 1 }}
+                                                    transition={{ delay: 0.2 }}
+                                                >
+                                                    {boldValues(t.parts('create.reserveSummary', { count: parseActivations(createActivations), total: t.formatAmount(multiplyAmount(parseAmount(createAmount, createCurrency), parseActivations(createActivations)), createCurrency) }))}
+                                                </motion.p>
+                                            )}
                                             <motion.div
                                                 className="flex items-center justify-center mb-4"
                                                 initial={{ opacity: 0 }}
@@ -571,33 +1596,151 @@ const App = () => {
                                                     className="h-5 w-5 text-blue-600 rounded focus:ring-blue-500 mr-2"
                                                 />
                                                 <label htmlFor="anonymous" className="text-blue-200">
-                                                    Анонимный чек
+                                                    {t('create.anonymous')}
                                                 </label>
                                             </motion.div>
-                                            <motion.button
-                                                className={`${commonClasses.button} bg-purple-600 hover:bg-purple-500 text-blue-100`}
-                                                onClick={handleCreateCheque}
-                                                whileHover={{ scale: 1.02 }}
-                                                whileTap={{ scale: 0.98 }}
+                                            <motion.input
+                                                type="password"
+                                                placeholder={t('create.passwordPlaceholder')}
+                                                value={createPassword}
+                                                onChange={(e) => setCreatePassword(e.target.value)}
+                                                className={`${commonClasses.input} mb-4`}
+                                                initial={{ opacity: 0 }}
+                                                animate={{ opacity: 1 }}
+                                                transition={{ delay: 0.3 }}
+                                            />
+                                            <motion.select
+                                                value={createLifetime}
+                                                onChange={(e) => setCreateLifetime(e.target.value)}
+                                                className={`${commonClasses.input} mb-4`}
+                                                initial={{ opacity: 0 }}
+                                                animate={{ opacity: 1 }}
+                                                transition={{ delay: 0.3 }}
                                             >
-                                                <PlusCircle className="w-5 h-5 mr-2" /> Создать чек
-                                            </motion.button>
+                                                {CHEQUE_LIFETIME_OPTIONS.map((option) => (
+                                                    <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                                                ))}
+                                            </motion.select>
+                                            {createLifetime === 'custom' && (
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    placeholder={t('create.customHoursPlaceholder')}
+                                                    value={createCustomHours}
+                                                    onChange={(e) => setCreateCustomHours(e.target.value)}
+                                                    className={`${commonClasses.input} mb-4`}
+                                                />
+                                            )}
+                                            {/* Personal cheques have a single activation */}
+                                            {parseActivations(createActivations) === 1 && (
+                                                <motion.input
+                                                    type="text"
+                                                    placeholder={t('create.recipientPlaceholder')}
+                                                    value={createRecipient}
+                                                    onChange={(e) => setCreateRecipient(e.target.value)}
+                                                    className={`${commonClasses.input} mb-4`}
+                                                    initial={{ opacity: 0 }}
+                                                    animate={{ opacity: 1 }}
+                                                    transition={{ delay: 0.3 }}
+                                                />
+                                            )}
+                                            <motion.input
+                                                type="text"
+                                                placeholder={t('create.memoPlaceholder')}
+                                                value={createMemo}
+                                                maxLength={MAX_MEMO_LENGTH}
+                                                onChange={(e) => setCreateMemo(e.target.value)}
+                                                className={`${commonClasses.input} mb-4`}
+                                                initial={{ opacity: 0 }}
+                                                animate={{ opacity: 1 }}
+                                                transition={{ delay: 0.3 }}
+                                            />
+                                            {!telegram && (
+                                                <>
+                                                    <motion.button
+                                                        className={`${commonClasses.button} bg-purple-600 hover:bg-purple-500 text-blue-100`}
+                                                        onClick={handleCreateCheque}
+                                                        whileHover={{ scale: 1.02 }}
+                                                        whileTap={{ scale: 0.98 }}
+                                                    >
+                                                        <PlusCircle className="w-5 h-5 mr-2" /> {t('create.submit')}
+                                                    </motion.button>
+                                                    <motion.button
+                                                        className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-2`}
+                                                        onClick={() => setCreateStep(0)}
+                                                        whileHover={{ scale: 1.02 }}
+                                                        whileTap={{ scale: 0.98 }}
+                                                    >
+                                                        <XCircle className="w-5 h-5 mr-2" /> {t('create.changeAmount')}
+                                                    </motion.button>
+                                                </>
+                                            )}
                                             <motion.button
-                                                className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-2`}
-                                                onClick={() => setCreateStep(0)}
+                                                className={`${commonClasses.button} bg-red-600 hover:bg-red-500 text-blue-100 mt-2`}
+                                                onClick={() => { setCreateStep(0); setCreateAmount(''); setCreateCurrency(DEFAULT_CURRENCY); setCreateActivations('1'); setCreateIsAnonymous(false); setCreatePassword(''); setCreateLifetime(''); setCreateCustomHours(''); setCreateRecipient(''); setCreateMemo(''); setCurrentPage('home'); }}
                                                 whileHover={{ scale: 1.02 }}
                                                 whileTap={{ scale: 0.98 }}
                                             >
-                                                <XCircle className="w-5 h-5 mr-2" /> Изменить сумму
+                                                {t('create.abort')}
                                             </motion.button>
+                                        </>
+                                    )}
+                                    {createStep === 2 && createdCheque && (
+                                        <>
+                                            <motion.p
+                                                className="text-blue-200 mb-4"
+                                                initial={{ opacity: 0 }}
+                                                animate={{ opacity: 1 }}
+                                                transition={{ delay: 0.2 }}
+                                            >
+                                                {createdCheque.activations > 1
+                                                    ? boldValues(t.parts('create.createdMulti', { count: createdCheque.activations, amount: t.formatAmount(createdCheque.amount, createdCheque.currency) }))
+                                                    : boldValues(t.parts('create.created', { amount: t.formatAmount(createdCheque.amount, createdCheque.currency) }))}
+                                                <br />{boldValues(t.parts('create.id', { id: createdCheque.shortId }))}
+                                                {createdCheque.recipientUsername && (
+                                                    <><br />{t('create.personalFor', { username: createdCheque.recipientUsername })}</>
+                                                )}
+                                                {createdCheque.memo && (
+                                                    <><br />{t('activate.memo', { memo: createdCheque.memo })}</>
+                                                )}
+                                            </motion.p>
+                                            {[
+                                                { label: t('create.telegramLink'), value: createdCheque.links.telegram },
+                                                { label: t('create.webLink'), value: createdCheque.links.web },
+                                            ].map((link) => (
+                                                <div key={link.label} className="text-left mb-3">
+                                                    <p className="text-sm text-blue-300 mb-1">{link.label}</p>
+                                                    <div className="flex items-center bg-blue-700 rounded-xl p-2">
+                                                        <span className="flex-grow text-blue-100 text-sm break-all">{link.value}</span>
+                                                        <motion.button
+                                                            className="ml-2 text-blue-200 hover:text-blue-100 transition-colors duration-200"
+                                                            onClick={() => handleCopy(link.value)}
+                                                            whileHover={{ scale: 1.1 }}
+                                                            whileTap={{ scale: 0.9 }}
+                                                        >
+                                                            <Copy className="w-5 h-5" />
+                                                        </motion.button>
+                                                    </div>
+                                                </div>
+                                            ))}
                                             <motion.button
-                                                className={`${commonClasses.button} bg-red-600 hover:bg-red-500 text-blue-100 mt-2`}
-                                                onClick={() => { setCreateStep(0); setCreateAmount(''); setCreateIsAnonymous(false); setCurrentPage('home'); }}
+                                                className={`${commonClasses.button} bg-purple-600 hover:bg-purple-500 text-blue-100 mt-2`}
+                                                onClick={() => handleShowQr(createdCheque.shortId)}
                                                 whileHover={{ scale: 1.02 }}
                                                 whileTap={{ scale: 0.98 }}
                                             >
-                                                Отменить создание
+                                                <QrCode className="w-5 h-5 mr-2" /> {t('create.showQr')}
                                             </motion.button>
+                                            {!telegram && (
+                                                <motion.button
+                                                    className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100 mt-2`}
+                                                    onClick={finishCreate}
+                                                    whileHover={{ scale: 1.02 }}
+                                                    whileTap={{ scale: 0.98 }}
+                                                >
+                                                    {t('common.done')}
+                                                </motion.button>
+                                            )}
                                         </>
                                     )}
                                 </motion.div>
@@ -612,18 +1755,41 @@ const App = () => {
                                     animate={{ opacity: 1, scale: 1 }}
                                     transition={{ duration: 0.3 }}
                                 >
-                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">Активировать чек</h2>
+                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('activate.title')}</h2>
+                                    {activatePreview && activatePreview.shortId === activateChequeId && (
+                                        <motion.div
+                                            className="bg-blue-700 rounded-xl p-3 shadow-md mb-4"
+                                            initial={{ opacity: 0, y: 10 }}
+                                            animate={{ opacity: 1, y: 0 }}
+                                        >
+                                            <p className="text-3xl font-extrabold text-blue-50">{t.formatAmount(activatePreview.amount, activatePreview.currency)}</p>
+                                            <p className="text-blue-200">
+                                                {activatePreview.anonymous
+                                                    ? t('activate.anonymousCheque')
+                                                    : t('activate.from', { name: activatePreview.ownerFirstName, username: activatePreview.ownerUsername })}
+                                            </p>
+                                            {activatePreview.recipientUsername && (
+                                                <p className="text-sm text-blue-300 mt-1">{t('activate.personalFor', { username: activatePreview.recipientUsername })}</p>
+                                            )}
+                                            {activatePreview.memo && (
+                                                <p className="text-blue-100 mt-2 break-words">{t('activate.memo', { memo: activatePreview.memo })}</p>
+                                            )}
+                                            {activatePreview.hasPassword && (
+                                                <p className="text-sm text-blue-300 mt-1">{t('activate.passwordProtected')}</p>
+                                            )}
+                                        </motion.div>
+                                    )}
                                     <motion.p
                                         className="text-blue-200 mb-4"
                                         initial={{ opacity: 0 }}
                                         animate={{ opacity: 1 }}
                                         transition={{ delay: 0.2 }}
                                     >
-                                        Введите ID чека:
+                                        {t('activate.idPrompt')}
                                     </motion.p>
                                     <motion.input
                                         type="text"
-                                        placeholder="Введите ID чека"
+                                        placeholder={t('activate.idPlaceholder')}
                                         value={activateChequeId}
                                         onChange={(e) => setActivateChequeId(e.target.value)}
                                         className={`${commonClasses.input} mb-4`}
@@ -632,70 +1798,807 @@ const App = () => {
                                         transition={{ delay: 0.3 }}
                                     />
                                     <motion.button
-                                        className={`${commonClasses.button} bg-green-600 hover:bg-green-500 text-blue-100`}
-                                        onClick={handleActivateCheque}
+                                        className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100 mb-4`}
+                                        onClick={() => setShowScanner(true)}
                                         whileHover={{ scale: 1.02 }}
                                         whileTap={{ scale: 0.98 }}
                                     >
-                                        <CheckCircle className="w-5 h-5 mr-2" /> Активировать
+                                        <ScanLine className="w-5 h-5 mr-2" /> {t('activate.scan')}
                                     </motion.button>
+                                    <motion.input
+                                        type="password"
+                                        placeholder={t('activate.passwordPlaceholder')}
+                                        value={activatePassword}
+                                        onChange={(e) => setActivatePassword(e.target.value)}
+                                        className={`${commonClasses.input} mb-4`}
+                                        initial={{ y: 10, opacity: 0 }}
+                                        animate={{ y: 0, opacity: 1 }}
+                                        transition={{ delay: 0.3 }}
+                                    />
+                                    {!telegram && (
+                                        <>
+                                            <motion.button
+                                                className={`${commonClasses.button} bg-green-600 hover:bg-green-500 text-blue-100`}
+                                                onClick={handleActivateCheque}
+                                                whileHover={{ scale: 1.02 }}
+                                                whileTap={{ scale: 0.98 }}
+                                            >
+                                                <CheckCircle className="w-5 h-5 mr-2" /> {t('activate.submit')}
+                                            </motion.button>
+                                            <motion.button
+                                                className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-2`}
+                                                onClick={() => setCurrentPage('home')}
+                                                whileHover={{ scale: 1.02 }}
+                                                whileTap={{ scale: 0.98 }}
+                                            >
+                                                {t('common.cancel')}
+                                            </motion.button>
+                                        </>
+                                    )}
+                                </motion.div>
+                            </PageContainer>
+                        )}
+
+                        {currentPage === 'cheques' && (
+                            <PageContainer pageKey="cheques">
+                                <motion.div
+                                    className={`${commonClasses.card} text-center`}
+                                    initial={{ opacity: 0, scale: 0.9 }}
+                                    animate={{ opacity: 1, scale: 1 }}
+                                    transition={{ duration: 0.3 }}
+                                >
+                                    {detailedCheque ? (
+                                        <>
+                                            <h2 className="text-2xl font-bold mb-1 text-blue-100">{t('cheques.details', { id: detailedCheque.short_id })}</h2>
+                                            <p className="text-sm text-blue-300 mb-4">{t(`cheques.status.${detailedCheque.status}`)}</p>
+                                            <p className="text-3xl font-extrabold text-blue-50">{t.formatAmount(detailedCheque.amount, getCurrency(detailedCheque))}</p>
+                                            <div className="text-left text-sm text-blue-200 space-y-1 mt-4">
+                                                <p>{t('delete.activationsLeft', { left: getActivationsLeft(detailedCheque), total: getActivationsTotal(detailedCheque) })}</p>
+                                                {detailedCheque.anonymous && <p>{t('create.anonymous')}</p>}
+                                                {detailedCheque.has_password && <p>{t('activate.passwordProtected')}</p>}
+                                                {detailedCheque.recipient_username && <p>{t('create.personalFor', { username: detailedCheque.recipient_username })}</p>}
+                                                {detailedCheque.expires_at && isChequeActive(detailedCheque) && (
+                                                    <p>{t('delete.expiresAt', { date: t.formatDateTime(detailedCheque.expires_at) })}</p>
+                                                )}
+                                                {detailedCheque.memo && <p className="break-words">{t('activate.memo', { memo: detailedCheque.memo })}</p>}
+                                            </div>
+
+                                            <h3 className="text-xl font-bold mt-4 mb-2 text-blue-100 text-left">{t('cheques.timeline.title')}</h3>
+                                            {!chequeDetails.timeline ? (
+                                                <p className="text-blue-300 animate-pulse">{t('app.loading')}</p>
+                                            ) : (
+                                                <ol className="text-left border-l-2 border-blue-500 ml-2 space-y-3">
+                                                    {chequeDetails.timeline.map((event, index) => (
+                                                        <li key={index} className="pl-4">
+                                                            <p className="text-blue-100">{timelineText(t, event)}</p>
+                                                            <p className="text-xs text-blue-300">{t.formatDateTime(event.at)}</p>
+                                                        </li>
+                                                    ))}
+                                                </ol>
+                                            )}
+
+                                            {isChequeActive(detailedCheque) && (
+                                                <div className="flex space-x-2 mt-6">
+                                                    <motion.button
+                                                        className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100`}
+                                                        onClick={() => handleShowQr(detailedCheque.short_id)}
+                                                        whileHover={{ scale: 1.02 }}
+                                                        whileTap={{ scale: 0.98 }}
+                                                    >
+                                                        <QrCode className="w-5 h-5" />
+                                                    </motion.button>
+                                                    <motion.button
+                                                        className={`${commonClasses.button} bg-red-600 hover:bg-red-500 text-blue-100`}
+                                                        onClick={() => handleDeleteCheque(detailedCheque)}
+                                                        whileHover={{ scale: 1.02 }}
+                                                        whileTap={{ scale: 0.98 }}
+                                                    >
+                                                        <Trash2 className="w-5 h-5" />
+                                                    </motion.button>
+                                                </div>
+                                            )}
+                                            <motion.button
+                                                className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-4`}
+                                                onClick={() => setChequeDetails(null)}
+                                                whileHover={{ scale: 1.02 }}
+                                                whileTap={{ scale: 0.98 }}
+                                            >
+                                                {t('common.back')}
+                                            </motion.button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('cheques.title')}</h2>
+                                            <div className="grid grid-cols-2 gap-2 mb-4">
+                                                {CHEQUE_STATUSES.map((status) => (
+                                                    <button
+                                                        key={status}
+                                                        className={`py-2 px-3 rounded-xl text-sm font-semibold transition-colors duration-200 ${status === chequesTab ? 'bg-blue-600 text-blue-50' : 'bg-blue-900 text-blue-300 hover:text-blue-200'}`}
+                                                        onClick={() => setChequesTab(status)}
+                                                    >
+                                                        {t(`cheques.tab.${status}`, { count: myCheques.filter(cheque => cheque.status === status).length })}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                            <div className="flex space-x-2 mb-4">
+                                                <input
+                                                    type="text"
+                                                    placeholder={t('cheques.searchPlaceholder')}
+                                                    value={chequesSearch}
+                                                    onChange={(e) => setChequesSearch(e.target.value)}
+                                                    className={commonClasses.input}
+                                                />
+                                                <select
+                                                    value={chequesSort}
+                                                    onChange={(e) => setChequesSort(e.target.value)}
+                                                    className="p-3 rounded-xl bg-blue-800 text-white"
+                                                    aria-label={t('cheques.sortLabel')}
+                                                >
+                                                    {CHEQUE_SORTS.map((option) => (
+                                                        <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            {visibleCheques.length === 0 ? (
+                                                <p className="text-blue-200">{t(chequesSearch.trim() ? 'cheques.noMatches' : 'cheques.empty')}</p>
+                                            ) : (
+                                                <ul className="space-y-3">
+                                                    <AnimatePresence>
+                                                        {visibleCheques.map((cheque) => (
+                                                            <motion.li
+                                                                key={cheque.id}
+                                                                className="flex justify-between items-center bg-blue-700 rounded-xl p-3 shadow-md cursor-pointer"
+                                                                onClick={() => setChequeDetails({ id: cheque.id, timeline: null })}
+                                                                initial={{ opacity: 0, x: -20 }}
+                                                                animate={{ opacity: 1, x: 0 }}
+                                                                exit={{ opacity: 0, x: 20 }}
+                                                                transition={{ duration: 0.2 }}
+                                                            >
+                                                                <span className="text-blue-100 font-medium text-left">
+                                                                    {cheque.short_id}
+                                                                    <span className="block text-xs font-normal text-blue-300">{t.formatDateTime(cheque.created_at)}</span>
+                                                                    {cheque.expires_at && isChequeActive(cheque) && (
+                                                                        <span className="block text-xs font-normal text-blue-300">
+                                                                            {t('delete.expiresAt', { date: t.formatDateTime(cheque.expires_at) })}
+                                                                        </span>
+                                                                    )}
+                                                                    {cheque.memo && (
+                                                                        <span className="block text-xs font-normal text-blue-200 break-words">{cheque.memo}</span>
+                                                                    )}
+                                                                </span>
+                                                                <span className="text-blue-50 font-bold">
+                                                                    {t.formatAmount(cheque.amount, getCurrency(cheque))}
+                                                                    {getActivationsTotal(cheque) > 1 && isChequeActive(cheque) && (
+                                                                        <span className="block text-xs font-normal text-blue-300">
+                                                                            {t('delete.activationsLeft', { left: getActivationsLeft(cheque), total: getActivationsTotal(cheque) })}
+                                                                        </span>
+                                                                    )}
+                                                                    {cheque.recipient_username && (
+                                                                        <span className="block text-xs font-normal text-blue-300">
+                                                                            {t('delete.personalFor', { username: cheque.recipient_username })}
+                                                                        </span>
+                                                                    )}
+                                                                </span>
+                                                                {isChequeActive(cheque) && (
+                                                                    <>
+                                                                        <motion.button
+                                                                            className="text-blue-300 hover:text-blue-200 transition-colors duration-200"
+                                                                            onClick={(e) => { e.stopPropagation(); handleShowQr(cheque.short_id); }}
+                                                                            whileHover={{ scale: 1.1 }}
+                                                                            whileTap={{ scale: 0.9 }}
+                                                                        >
+                                                                            <QrCode className="w-5 h-5" />
+                                                                        </motion.button>
+                                                                        <motion.button
+                                                                            className="text-red-400 hover:text-red-300 transition-colors duration-200"
+                                                                            onClick={(e) => { e.stopPropagation(); handleDeleteCheque(cheque); }}
+                                                                            whileHover={{ scale: 1.1 }}
+                                                                            whileTap={{ scale: 0.9 }}
+                                                                        >
+                                                                            <Trash2 className="w-5 h-5" />
+                                                                        </motion.button>
+                                                                    </>
+                                                                )}
+                                                            </motion.li>
+                                                        ))}
+                                                    </AnimatePresence>
+                                                </ul>
+                                            )}
+                                            <motion.button
+                                                className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-6`}
+                                                onClick={() => setCurrentPage('home')}
+                                                whileHover={{ scale: 1.02 }}
+                                                whileTap={{ scale: 0.98 }}
+                                            >
+                                                {t('common.back')}
+                                            </motion.button>
+                                        </>
+                                    )}
+                                </motion.div>
+                            </PageContainer>
+                        )}
+
+                        {currentPage === 'topup' && (
+                            <PageContainer pageKey="topup">
+                                <motion.div
+                                    className={`${commonClasses.card} text-center`}
+                                    initial={{ opacity: 0, scale: 0.9 }}
+                                    animate={{ opacity: 1, scale: 1 }}
+                                    transition={{ duration: 0.3 }}
+                                >
+                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('topUp.title')}</h2>
+                                    {!topUpInvoice ? (
+                                        <>
+                                            <motion.p
+                                                className="text-blue-200 mb-4"
+                                                initial={{ opacity: 0 }}
+                                                animate={{ opacity: 1 }}
+                                                transition={{ delay: 0.2 }}
+                                            >
+                                                {t('topUp.amountPrompt')}
+                                            </motion.p>
+                                            <motion.input
+                                                type="text"
+                                                inputMode="decimal"
+                                                placeholder={t('common.amountPlaceholder')}
+                                                value={topUpAmount}
+                                                onChange={(e) => setTopUpAmount(e.target.value)}
+                                                className={`${commonClasses.input} mb-4`}
+                                                initial={{ y: 10, opacity: 0 }}
+                                                animate={{ y: 0, opacity: 1 }}
+                                                transition={{ delay: 0.3 }}
+                                            />
+                                            <motion.select
+                                                value={topUpCurrency}
+                                                onChange={(e) => setTopUpCurrency(e.target.value)}
+                                                className={`${commonClasses.input} mb-4`}
+                                                initial={{ y: 10, opacity: 0 }}
+                                                animate={{ y: 0, opacity: 1 }}
+                                                transition={{ delay: 0.3 }}
+                                            >
+                                                {Object.keys(CURRENCIES).map((currency) => (
+                                                    <option key={currency} value={currency}>{currency}</option>
+                                                ))}
+                                            </motion.select>
+                                            <motion.button
+                                                className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100`}
+                                                onClick={handleCreateInvoice}
+                                                disabled={parseAmount(topUpAmount, topUpCurrency) === null}
+                                                whileHover={{ scale: 1.02 }}
+                                                whileTap={{ scale: 0.98 }}
+                                            >
+                                                <Wallet className="w-5 h-5 mr-2" /> {t('topUp.createInvoice')}
+                                            </motion.button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <p className="text-blue-200 mb-2">{boldValues(t.parts('topUp.invoiceFor', { amount: t.formatAmount(topUpInvoice.amount, topUpInvoice.currency) }))}</p>
+                                            <p className="text-blue-300 text-sm mb-4">
+                                                {topUpInvoice.status === 'pending' && t('topUp.pending')}
+                                                {topUpInvoice.status === 'credited' && t('topUp.credited')}
+                                                {topUpInvoice.status === 'expired' && t('topUp.expired')}
+                                            </p>
+                                            {topUpInvoice.status === 'pending' && topUpInvoice.payUrl && (
+                                                <a
+                                                    href={topUpInvoice.payUrl}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100`}
+                                                >
+                                                    {t('topUp.goToPayment')}
+                                                </a>
+                                            )}
+                                            {topUpInvoice.status === 'pending' && paymentProvider.isTestMode && (
+                                                <motion.button
+                                                    className={`${commonClasses.button} bg-green-600 hover:bg-green-500 text-blue-100`}
+                                                    onClick={() => paymentProvider.pay(topUpInvoice.id)}
+                                                    whileHover={{ scale: 1.02 }}
+                                                    whileTap={{ scale: 0.98 }}
+                                                >
+                                                    <CheckCircle className="w-5 h-5 mr-2" /> {t('topUp.payTestMode')}
+                                                </motion.button>
+                                            )}
+                                        </>
+                                    )}
                                     <motion.button
                                         className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-2`}
                                         onClick={() => setCurrentPage('home')}
                                         whileHover={{ scale: 1.02 }}
                                         whileTap={{ scale: 0.98 }}
                                     >
-                                        Отмена
+                                        {t('common.home')}
                                     </motion.button>
                                 </motion.div>
                             </PageContainer>
                         )}
 
-                        {currentPage === 'delete' && (
-                            <PageContainer pageKey="delete">
+                        {currentPage === 'withdraw' && (
+                            <PageContainer pageKey="withdraw">
                                 <motion.div
                                     className={`${commonClasses.card} text-center`}
                                     initial={{ opacity: 0, scale: 0.9 }}
                                     animate={{ opacity: 1, scale: 1 }}
                                     transition={{ duration: 0.3 }}
                                 >
-                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">Ваши активные чеки</h2>
-                                    {activeCheques.length === 0 ? (
-                                        <p className="text-blue-200">У вас нет активных чеков для удаления.</p>
+                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('withdraw.title')}</h2>
+                                    <motion.select
+                                        value={withdrawCurrency}
+                                        onChange={(e) => setWithdrawCurrency(e.target.value)}
+                                        className={`${commonClasses.input} mb-2`}
+                                        initial={{ y: 10, opacity: 0 }}
+                                        animate={{ y: 0, opacity: 1 }}
+                                        transition={{ delay: 0.2 }}
+                                    >
+                                        {Object.keys(CURRENCIES).map((currency) => (
+                                            <option key={currency} value={currency}>{currency}</option>
+                                        ))}
+                                    </motion.select>
+                                    <p className="text-blue-200 mb-4">{boldValues(t.parts('withdraw.available', { amount: t.formatAmount(userBalances[withdrawCurrency] || 0, withdrawCurrency) }))}</p>
+                                    <motion.input
+                                        type="text"
+                                        inputMode="decimal"
+                                        placeholder={t('withdraw.amountPlaceholder')}
+                                        value={withdrawAmount}
+                                        onChange={(e) => setWithdrawAmount(e.target.value)}
+                                        className={`${commonClasses.input} mb-4`}
+                                        initial={{ y: 10, opacity: 0 }}
+                                        animate={{ y: 0, opacity: 1 }}
+                                        transition={{ delay: 0.2 }}
+                                    />
+                                    <motion.input
+                                        type="text"
+                                        placeholder={t('withdraw.destinationPlaceholder')}
+                                        value={withdrawDestination}
+                                        maxLength={MAX_WITHDRAWAL_DESTINATION_LENGTH}
+                                        onChange={(e) => setWithdrawDestination(e.target.value)}
+                                        className={`${commonClasses.input} mb-4`}
+                                        initial={{ y: 10, opacity: 0 }}
+                                        animate={{ y: 0, opacity: 1 }}
+                                        transition={{ delay: 0.3 }}
+                                    />
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100`}
+                                        onClick={handleCreateWithdrawal}
+                                        disabled={parseAmount(withdrawAmount, withdrawCurrency) === null || !withdrawDestination.trim()}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        <ArrowUpCircle className="w-5 h-5 mr-2" /> {t('withdraw.submit')}
+                                    </motion.button>
+
+                                    <h3 className="text-xl font-bold mt-6 mb-2 text-blue-100">{t('withdraw.openRequests')}</h3>
+                                    <OpenWithdrawals t={t} withdrawals={openWithdrawals} heldBalances={userHeldBalances} />
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-6`}
+                                        onClick={() => setCurrentPage('home')}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        {t('common.back')}
+                                    </motion.button>
+                                </motion.div>
+                            </PageContainer>
+                        )}
+
+                        {currentPage === 'wallet' && (
+                            <PageContainer pageKey="wallet">
+                                <motion.div
+                                    className={`${commonClasses.card} text-center`}
+                                    initial={{ opacity: 0, scale: 0.9 }}
+                                    animate={{ opacity: 1, scale: 1 }}
+                                    transition={{ duration: 0.3 }}
+                                >
+                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('wallet.title')}</h2>
+                                    <div className="space-y-2 mb-4">
+                                        <select
+                                            value={walletFilter.type}
+                                            onChange={(e) => setWalletFilter({ ...walletFilter, type: e.target.value })}
+                                            className={commonClasses.input}
+                                        >
+                                            <option value="all">{t('wallet.allTypes')}</option>
+                                            {LEDGER_TYPES.map((type) => (
+                                                <option key={type} value={type}>{t(`ledger.${type}`)}</option>
+                                            ))}
+                                        </select>
+                                        <div className="flex space-x-2">
+                                            <input
+                                                type="date"
+                                                value={walletFilter.from}
+                                                onChange={(e) => setWalletFilter({ ...walletFilter, from: e.target.value })}
+                                                className={`${commonClasses.input} text-base`}
+                                            />
+                                            <input
+                                                type="date"
+                                                value={walletFilter.to}
+                                                onChange={(e) => setWalletFilter({ ...walletFilter, to: e.target.value })}
+                                                className={`${commonClasses.input} text-base`}
+                                            />
+                                        </div>
+                                    </div>
+                                    {walletEntries.length === 0 ? (
+                                        <p className="text-blue-200">{t('wallet.empty')}</p>
                                     ) : (
-                                        <ul className="space-y-3">
-                                            <AnimatePresence>
-                                                {activeCheques.map((cheque) => (
-                                                    <motion.li
-                                                        key={cheque.id}
-                                                        className="flex justify-between items-center bg-blue-700 rounded-xl p-3 shadow-md"
-                                                        initial={{ opacity: 0, x: -20 }}
-                                                        animate={{ opacity: 1, x: 0 }}
-                                                        exit={{ opacity: 0, x: 20 }}
-                                                        transition={{ duration: 0.2 }}
-                                                    >
-                                                        <span className="text-blue-100 font-medium">{cheque.short_id}</span>
-                                                        <span className="text-blue-50 font-bold">${cheque.amount.toFixed(2)}</span>
-                                                        <motion.button
-                                                            className="text-red-400 hover:text-red-300 transition-colors duration-200"
-                                                            onClick={() => handleDeleteCheque(cheque)}
-                                                            whileHover={{ scale: 1.1 }}
-                                                            whileTap={{ scale: 0.9 }}
-                                                        >
-                                                            <Trash2 className="w-5 h-5" />
-                                                        </motion.button>
-                                                    </motion.li>
-                                                ))}
-                                            </AnimatePresence>
+                                        <ul className="space-y-3 text-left">
+                                            {walletEntries.map((entry) => (
+                                                <li key={entry.id} className="bg-blue-700 rounded-xl p-3 shadow-md">
+                                                    <div className="flex justify-between items-center">
+                                                        <span className="text-blue-100 font-medium">{LEDGER_TYPES.includes(entry.type) ? t(`ledger.${entry.type}`) : entry.type}</span>
+                                                        <span className={`font-bold ${entry.amount < 0 ? 'text-red-300' : 'text-green-300'}`}>
+                                                            {entry.amount < 0 ? '-' : '+'}{t.formatAmount(Math.abs(entry.amount), getCurrency(entry))}
+                                                        </span>
+                                                    </div>
+                                                    <div className="flex justify-between text-sm text-blue-300 mt-1">
+                                                        <span>{t.formatDateTime(entry.created_at)}</span>
+                                                        <span>{t('wallet.balanceAfter', { amount: t.formatAmount(entry.balance_after, getCurrency(entry)) })}</span>
+                                                    </div>
+                                                    {(entry.cheque_id || entry.counterparty) && (
+                                                        <div className="text-sm text-blue-300">
+                                                            {entry.cheque_id && <span>{t('wallet.cheque', { id: entry.cheque_id })}</span>}
+                                                            {entry.counterparty && <span> · {entry.counterparty.name}</span>}
+                                                        </div>
+                                                    )}
+                                                    {entry.memo && <div className="text-sm text-blue-200 break-words">{entry.memo}</div>}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    <div className="flex space-x-2 mt-4">
+                                        <motion.button
+                                            className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100 text-base`}
+                                            onClick={() => loadWalletPage(walletPage - 1)}
+                                            disabled={walletPage === 0}
+                                            whileHover={{ scale: 1.02 }}
+                                            whileTap={{ scale: 0.98 }}
+                                        >
+                                            {t('common.back')}
+                                        </motion.button>
+                                        <motion.button
+                                            className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100 text-base`}
+                                            onClick={() => loadWalletPage(walletPage + 1)}
+                                            disabled={!walletHasMore}
+                                            whileHover={{ scale: 1.02 }}
+                                            whileTap={{ scale: 0.98 }}
+                                        >
+                                            {t('common.next')}
+                                        </motion.button>
+                                    </div>
+                                    <div className="mt-4 text-left">
+                                        <h3 className="text-lg font-semibold text-blue-100">{t('wallet.exportTitle')}</h3>
+                                        <p className="text-sm text-blue-300 mb-2">{t('wallet.exportHint')}</p>
+                                        <div className="flex space-x-2">
+                                            {['cheques', 'transactions', 'json'].map((kind) => (
+                                                <motion.button
+                                                    key={kind}
+                                                    className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100 text-base`}
+                                                    onClick={() => handleExport(kind)}
+                                                    disabled={isExporting}
+                                                    whileHover={{ scale: 1.02 }}
+                                                    whileTap={{ scale: 0.98 }}
+                                                >
+                                                    {t(`wallet.export.${kind}`)}
+                                                </motion.button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-2`}
+                                        onClick={() => setCurrentPage('home')}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        {t('common.home')}
+                                    </motion.button>
+                                </motion.div>
+                            </PageContainer>
+                        )}
+
+                        {currentPage === 'notifications' && (
+                            <PageContainer pageKey="notifications">
+                                <motion.div
+                                    className={`${commonClasses.card} text-center`}
+                                    initial={{ opacity: 0, scale: 0.9 }}
+                                    animate={{ opacity: 1, scale: 1 }}
+                                    transition={{ duration: 0.3 }}
+                                >
+                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('notifications.title')}</h2>
+                                    {notifications.length === 0 ? (
+                                        <p className="text-blue-200">{t('notifications.empty')}</p>
+                                    ) : (
+                                        <ul className="space-y-3 text-left">
+                                            {notifications.map((notification) => (
+                                                <li
+                                                    key={notification.id}
+                                                    className={`rounded-xl p-3 shadow-md ${notification.read ? 'bg-blue-700' : 'bg-blue-600'}`}
+                                                >
+                                                    <p className="text-blue-100">{notificationText(t, notification)}</p>
+                                                    {notification.memo && <p className="text-sm text-blue-200 mt-1 break-words">{t('activate.memo', { memo: notification.memo })}</p>}
+                                                    <p className="text-sm text-blue-300 mt-1">{t.formatDateTime(notification.created_at)}</p>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-6`}
+                                        onClick={() => setCurrentPage('home')}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        {t('common.home')}
+                                    </motion.button>
+                                </motion.div>
+                            </PageContainer>
+                        )}
+
+                        {currentPage === 'profile' && (
+                            <PageContainer pageKey="profile">
+                                <motion.div
+                                    className={`${commonClasses.card} text-center`}
+                                    initial={{ opacity: 0, scale: 0.9 }}
+                                    animate={{ opacity: 1, scale: 1 }}
+                                    transition={{ duration: 0.3 }}
+                                >
+                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('profile.title')}</h2>
+                                    <label className="block text-left text-blue-200 mb-2" htmlFor="profileName">
+                                        {t('profile.displayName')}
+                                    </label>
+                                    <input
+                                        id="profileName"
+                                        type="text"
+                                        maxLength={MAX_DISPLAY_NAME_LENGTH}
+                                        value={profileNameInput}
+                                        onChange={(e) => setProfileNameInput(e.target.value)}
+                                        className={`${commonClasses.input} mb-2`}
+                                    />
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100 mb-4`}
+                                        onClick={handleSaveDisplayName}
+                                        disabled={!profileNameInput.trim() || profileNameInput.trim() === userName}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        {t('profile.save')}
+                                    </motion.button>
+                                    <div className="text-left text-blue-200 space-y-1 mb-4">
+                                        {userUsername && <p>{t('profile.username', { username: userUsername })}</p>}
+                                        {userJoinDate && <p>{t('profile.joinDate', { date: t.formatDate(userJoinDate) })}</p>}
+                                    </div>
+                                    <h3 className="text-xl font-bold mb-2 text-blue-100">{t('profile.stats')}</h3>
+                                    {!profileStats ? (
+                                        <p className="text-blue-300 animate-pulse">{t('app.loading')}</p>
+                                    ) : (
+                                        <dl className="grid grid-cols-2 gap-2 text-left">
+                                            {[
+                                                [t('profile.chequesCreated'), t.formatNumber(profileStats.chequesCreated)],
+                                                [t('profile.chequesActivated'), t.formatNumber(profileStats.chequesActivated)],
+                                                [t('profile.sent'), formatTotals(t, profileStats.sent)],
+                                                [t('profile.received'), formatTotals(t, profileStats.received)],
+                                                [t('profile.activeCheques'), t.formatNumber(profileStats.activeCheques)],
+                                                [t('profile.outstanding'), formatTotals(t, profileStats.outstanding)],
+                                            ].map(([label, value]) => (
+                                                <div key={label} className="bg-blue-700 rounded-xl p-3 shadow-md">
+                                                    <dt className="text-xs text-blue-300">{label}</dt>
+                                                    <dd className="text-blue-50 font-bold">{value}</dd>
+                                                </div>
+                                            ))}
+                                        </dl>
+                                    )}
+                                    <h3 className="text-xl font-bold mt-6 mb-2 text-blue-100">{t('withdraw.openRequests')}</h3>
+                                    <OpenWithdrawals t={t} withdrawals={openWithdrawals} heldBalances={userHeldBalances} />
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-6`}
+                                        onClick={() => setCurrentPage('home')}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        {t('common.home')}
+                                    </motion.button>
+                                </motion.div>
+                            </PageContainer>
+                        )}
+
+                        {currentPage === 'admin' && isAdmin && (
+                            <PageContainer pageKey="admin">
+                                <motion.div
+                                    className={`${commonClasses.card} text-center`}
+                                    initial={{ opacity: 0, scale: 0.9 }}
+                                    animate={{ opacity: 1, scale: 1 }}
+                                    transition={{ duration: 0.3 }}
+                                >
+                                    <h2 className="text-2xl font-bold mb-4 text-blue-100">{t('admin.title')}</h2>
+                                    <input
+                                        type="text"
+                                        placeholder={t('admin.searchPlaceholder')}
+                                        value={adminQuery}
+                                        onChange={(e) => setAdminQuery(e.target.value)}
+                                        onKeyDown={(e) => e.key === 'Enter' && handleAdminSearch()}
+                                        className={`${commonClasses.input} mb-2`}
+                                    />
+                                    <motion.button
+                                        className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100 mb-4`}
+                                        onClick={handleAdminSearch}
+                                        disabled={!adminQuery.trim()}
+                                        whileHover={{ scale: 1.02 }}
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        {t('admin.search')}
+                                    </motion.button>
+                                    <input
+                                        type="text"
+                                        placeholder={t('admin.reasonPlaceholder')}
+                                        value={adminReason}
+                                        maxLength={MAX_AUDIT_REASON_LENGTH}
+                                        onChange={(e) => setAdminReason(e.target.value)}
+                                        className={`${commonClasses.input} mb-4`}
+                                    />
+
+                                    {adminResults && (
+                                        <div className="text-left space-y-4 mb-4">
+                                            <h3 className="text-xl font-bold text-blue-100">{t('admin.users')}</h3>
+                                            {adminResults.users.length === 0 ? (
+                                                <p className="text-blue-300">{t('admin.noUsers')}</p>
+                                            ) : (
+                                                <ul className="space-y-3">
+                                                    {adminResults.users.map((user) => (
+                                                        <li key={user.id} className="bg-blue-700 rounded-xl p-3 shadow-md">
+                                                            <p className="font-bold text-blue-50">
+                                                                {user.display_name || user.first_name || t('app.defaultUserName')}
+                                                                {user.username && <span className="font-normal text-blue-300"> @{user.username}</span>}
+                                                            </p>
+                                                            <p className="text-xs text-blue-300 break-all">{user.id}</p>
+                                                            <p className="text-sm text-blue-100 mt-1">{formatTotals(t, user.balances)}</p>
+                                                            {user.frozen && (
+                                                                <p className="text-sm text-red-300 mt-1">
+                                                                    {t('admin.frozenSince', { date: t.formatDateTime(user.frozen_at) })}
+                                                                    {user.frozen_reason && <span> · {user.frozen_reason}</span>}
+                                                                </p>
+                                                            )}
+                                                            <div className="flex space-x-2 mt-2">
+                                                                <button
+                                                                    className={`flex-1 py-2 px-3 rounded-xl text-sm font-semibold text-blue-100 ${user.frozen ? 'bg-green-600 hover:bg-green-500' : 'bg-red-600 hover:bg-red-500'}`}
+                                                                    onClick={() => handleAdminFreeze(user)}
+                                                                >
+                                                                    {t(user.frozen ? 'admin.unfreeze' : 'admin.freeze')}
+                                                                </button>
+                                                                <button
+                                                                    className="flex-1 py-2 px-3 rounded-xl text-sm font-semibold text-blue-100 bg-blue-600 hover:bg-blue-500"
+                                                                    onClick={() => setAdminAdjust(adminAdjust?.uid === user.id ? null : { uid: user.id, amount: '', currency: DEFAULT_CURRENCY })}
+                                                                >
+                                                                    {t('admin.adjustBalance')}
+                                                                </button>
+                                                            </div>
+                                                            {adminAdjust?.uid === user.id && (
+                                                                <div className="mt-2 space-y-2">
+                                                                    <div className="flex space-x-2">
+                                                                        <input
+                                                                            type="text"
+                                                                            inputMode="decimal"
+                                                                            placeholder={t('common.amountPlaceholder')}
+                                                                            value={adminAdjust.amount}
+                                                                            onChange={(e) => setAdminAdjust({ ...adminAdjust, amount: e.target.value })}
+                                                                            className={commonClasses.input}
+                                                                        />
+                                                                        <select
+                                                                            value={adminAdjust.currency}
+                                                                            onChange={(e) => setAdminAdjust({ ...adminAdjust, currency: e.target.value })}
+                                                                            className="p-3 rounded-xl bg-blue-800 text-white"
+                                                                        >
+                                                                            {Object.keys(CURRENCIES).map((currency) => (
+                                                                                <option key={currency} value={currency}>{currency}</option>
+                                                                            ))}
+                                                                        </select>
+                                                                    </div>
+                                                                    <div className="flex space-x-2">
+                                                                        <button
+                                                                            className="flex-1 py-2 px-3 rounded-xl text-sm font-semibold text-blue-100 bg-green-600 hover:bg-green-500"
+                                                                            onClick={() => handleAdminAdjust(user, 1)}
+                                                                        >
+                                                                            {t('admin.credit')}
+                                                                        </button>
+                                                                        <button
+                                                                            className="flex-1 py-2 px-3 rounded-xl text-sm font-semibold text-blue-100 bg-red-600 hover:bg-red-500"
+                                                                            onClick={() => handleAdminAdjust(user, -1)}
+                                                                        >
+                                                                            {t('admin.debit')}
+                                                                        </button>
+                                                                    </div>
+                                                                </div>
+                                                            )}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+
+                                            <h3 className="text-xl font-bold text-blue-100">{t('admin.cheques')}</h3>
+                                            {adminResults.cheques.length === 0 ? (
+                                                <p className="text-blue-300">{t('admin.noCheques')}</p>
+                                            ) : (
+                                                <ul className="space-y-3">
+                                                    {adminResults.cheques.map((cheque) => (
+                                                        <li key={cheque.id} className="flex items-center justify-between bg-blue-700 rounded-xl p-3 shadow-md">
+                                                            <span className="text-blue-100">
+                                                                <span className="block font-bold text-blue-50">
+                                                                    {cheque.short_id} · {t.formatAmount(cheque.amount, getCurrency(cheque))}
+                                                                </span>
+                                                                <span className="block text-xs text-blue-300 break-all">{t('admin.owner', { id: cheque.owner_id })}</span>
+                                                                <span className="block text-xs text-blue-300">
+                                                                    {isChequeActive(cheque)
+                                                                        ? t('delete.activationsLeft', { left: getActivationsLeft(cheque), total: getActivationsTotal(cheque) })
+                                                                        : t(`cheques.status.${cheque.status}`)}
+                                                                </span>
+                                                            </span>
+                                                            {isChequeActive(cheque) && (
+                                                                <motion.button
+                                                                    className="text-red-400 hover:text-red-300 transition-colors duration-200"
+                                                                    onClick={() => handleAdminCancelCheque(cheque)}
+                                                                    whileHover={{ scale: 1.1 }}
+                                                                    whileTap={{ scale: 0.9 }}
+                                                                >
+                                                                    <Trash2 className="w-5 h-5" />
+                                                                </motion.button>
+                                                            )}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    <h3 className="text-xl font-bold mb-2 text-blue-100 text-left">{t('admin.auditLog')}</h3>
+                                    <div className="flex space-x-2 mb-3">
+                                        <input
+                                            type="text"
+                                            placeholder={t('admin.auditFilterPlaceholder')}
+                                            value={adminAuditFilter}
+                                            onChange={(e) => setAdminAuditFilter(e.target.value)}
+                                            onKeyDown={(e) => e.key === 'Enter' && setAdminAuditTarget(adminAuditFilter.trim())}
+                                            className={commonClasses.input}
+                                        />
+                                        <button
+                                            className="py-2 px-4 rounded-xl text-sm font-semibold text-blue-100 bg-blue-600 hover:bg-blue-500"
+                                            onClick={() => setAdminAuditTarget(adminAuditFilter.trim())}
+                                        >
+                                            {t('admin.auditFilter')}
+                                        </button>
+                                    </div>
+                                    {adminAuditEntries.length === 0 ? (
+                                        <p className="text-blue-300">{t('admin.auditEmpty')}</p>
+                                    ) : (
+                                        <ul className="space-y-2 text-left">
+                                            {adminAuditEntries.map((entry) => (
+                                                <li key={entry.id} className="bg-blue-700 rounded-xl p-3 shadow-md text-sm">
+                                                    <p className="font-semibold text-blue-50">
+                                                        {t(`admin.action.${entry.action}`)}
+                                                        {entry.details?.amount !== undefined && <span> · {t.formatAmount(entry.details.amount, entry.details.currency)}</span>}
+                                                        {entry.details?.refund !== undefined && <span> · {t.formatAmount(entry.details.refund, entry.details.currency)}</span>}
+                                                        {entry.details?.to && <span> · {t(`withdraw.status.${entry.details.to}`)}</span>}
+                                                    </p>
+                                                    <p className="text-blue-300 break-all">
+                                                        {entry.target_uid}
+                                                        {entry.cheque_id && <span> · {entry.cheque_id}</span>}
+                                                    </p>
+                                                    {entry.reason && <p className="text-blue-100 break-words">{entry.reason}</p>}
+                                                    <p className="text-xs text-blue-300 break-all">{t('admin.by', { admin: entry.admin_uid, date: t.formatDateTime(entry.created_at) })}</p>
+                                                </li>
+                                            ))}
                                         </ul>
                                     )}
+                                    {adminAuditHasMore && (
+                                        <motion.button
+                                            className={`${commonClasses.button} bg-blue-600 hover:bg-blue-500 text-blue-100 text-base mt-4`}
+                                            onClick={() => loadAuditLog(adminAuditEntries[adminAuditEntries.length - 1].created_at)}
+                                            whileHover={{ scale: 1.02 }}
+                                            whileTap={{ scale: 0.98 }}
+                                        >
+                                            {t('admin.auditMore')}
+                                        </motion.button>
+                                    )}
                                     <motion.button
                                         className={`${commonClasses.button} bg-gray-700 hover:bg-gray-600 text-blue-100 mt-6`}
                                         onClick={() => setCurrentPage('home')}
                                         whileHover={{ scale: 1.02 }}
                                         whileTap={{ scale: 0.98 }}
                                     >
-                                        Назад
+                                        {t('common.home')}
                                     </motion.button>
                                 </motion.div>
                             </PageContainer>
@@ -711,7 +2614,7 @@ const App = () => {
                         whileTap={{ scale: 0.9 }}
                     >
                         <Home className="w-6 h-6 mb-1" />
-                        <span className="text-xs">Главная</span>
+                        <span className="text-xs">{t('nav.home')}</span>
                     </motion.button>
                     <motion.button
                         className="flex flex-col items-center text-blue-200 hover:text-blue-100 transition-colors duration-200"
@@ -720,7 +2623,7 @@ const App = () => {
                         whileTap={{ scale: 0.9 }}
                     >
                         <PlusCircle className="w-6 h-6 mb-1" />
-                        <span className="text-xs">Создать</span>
+                        <span className="text-xs">{t('nav.create')}</span>
                     </motion.button>
                     <motion.button
                         className="flex flex-col items-center text-blue-200 hover:text-blue-100 transition-colors duration-200"
@@ -729,10 +2632,51 @@ const App = () => {
                         whileTap={{ scale: 0.9 }}
                     >
                         <CheckCircle className="w-6 h-6 mb-1" />
-                        <span className="text-xs">Активировать</span>
+                        <span className="text-xs">{t('nav.activate')}</span>
+                    </motion.button>
+                    <motion.button
+                        className="flex flex-col items-center text-blue-200 hover:text-blue-100 transition-colors duration-200"
+                        onClick={() => setCurrentPage('wallet')}
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                    >
+                        <Wallet className="w-6 h-6 mb-1" />
+                        <span className="text-xs">{t('nav.wallet')}</span>
                     </motion.button>
                 </footer>
 
+                {/* QR code display */}
+                <AnimatePresence>
+                    {qrDisplay && (
+                        <motion.div
+                            className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50"
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            exit={{ opacity: 0 }}
+                            onClick={() => setQrDisplay(null)}
+                        >
+                            <motion.div
+                                className="bg-blue-800 bg-opacity-90 rounded-2xl p-6 shadow-2xl w-full max-w-xs text-center"
+                                initial={{ scale: 0.8, y: -50 }}
+                                animate={{ scale: 1, y: 0 }}
+                                exit={{ scale: 0.8, y: 50 }}
+                                transition={{ type: "spring", stiffness: 200, damping: 20 }}
+                            >
+                                <h3 className="text-xl font-bold mb-4 text-blue-100">{t('qr.title', { id: qrDisplay.shortId })}</h3>
+                                <img src={qrDisplay.dataUrl} alt={t('qr.alt', { id: qrDisplay.shortId })} className="w-full rounded-xl bg-white p-2 mb-4" />
+                                <p className="text-blue-200 text-sm">{t('qr.hint')}</p>
+                            </motion.div>
+                        </motion.div>
+                    )}
+                </AnimatePresence>
+
+                {/* QR scanner */}
+                <AnimatePresence>
+                    {showScanner && (
+                        <QrScanner t={t} onResult={handleQrScanned} onClose={() => setShowScanner(false)} />
+                    )}
+                </AnimatePresence>
+
                 {/* Modal Component */}
                 <AnimatePresence>
                     {showModal && (
@@ -750,7 +2694,7 @@ const App = () => {
                                 transition={{ type: "spring", stiffness: 200, damping: 20 }}
                             >
                                 <h3 className="text-xl font-bold mb-4 text-blue-100">{modalContent.title}</h3>
-                                <div className="text-blue-200 mb-6" dangerouslySetInnerHTML={{ __html: modalContent.message }} />
+                                <div className="text-blue-200 mb-6">{modalContent.message}</div>
                                 <div className="flex justify-center space-x-4">
                                     {modalContent.onConfirm && (
                                         <motion.button
@@ -759,7 +2703,7 @@ const App = () => {
                                             whileHover={{ scale: 1.05 }}
                                             whileTap={{ scale: 0.95 }}
                                         >
-                                            OK
+                                            {modalContent.confirmLabel || t('common.ok')}
                                         </motion.button>
                                     )}
                                     {modalContent.onCancel && (
@@ -769,7 +2713,7 @@ const App = () => {
                                             whileHover={{ scale: 1.05 }}
                                             whileTap={{ scale: 0.95 }}
                                         >
-                                            Отмена
+                                            {t('common.cancel')}
                                         </motion.button>
                                     )}
                                 </div>
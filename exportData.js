@@ -0,0 +1,147 @@
+import { formatDecimal, multiplyAmount } from './functions/shared/money.js';
+import { getCurrency, getActivationsTotal, getActivationsLeft } from './functions/shared/chequeService.js';
+
+// Bookkeeping exports of the user's cheques and ledger entries, built in the browser from data
+// the app already reads, with no external service.
+//
+// Both formats share one column set per record type:
+//   - amounts are exact decimals in major units with a dot ("10.50", "-0.05"), next to a
+//     `currency` column, so no precision is lost to floats or locale formatting
+//   - timestamps are ISO 8601 in UTC ("2026-10-19T08:30:00.000Z")
+//   - missing values are empty cells in CSV and null in JSON
+// CSV follows RFC 4180: a header row with the column names, commas, double quotes around cells
+// that need them, CRLF line ends, UTF-8 with a byte order mark so spreadsheets detect it.
+// The columns are a contract with whoever imports the files: add new ones at the end, never
+// rename, reorder or remove them, and bump EXPORT_FORMAT_VERSION when the meaning changes.
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+// ISO 8601 in UTC, or null; accepts ISO strings, Dates and Firestore Timestamps
+export const normalizeTimestamp = (value) => {
+    if (!value) return null;
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const decimalOrNull = (minor, currency) => (typeof minor === 'number' ? formatDecimal(minor, currency) : null);
+
+// One row per cheque, from the owner's copies:
+//   short_id            cheque code
+//   status              active, activated, cancelled or expired
+//   currency            USD, USDT or TON
+//   amount              paid out per activation
+//   activations_total   how many users can activate it
+//   activations_left    activations not used yet (0 once it is no longer active)
+//   total_amount        amount × activations_total, reserved when it was created
+//   anonymous           true if activators do not see the owner
+//   password_protected  true if activating needs a password
+//   recipient_username  the only user who can activate a personal cheque
+//   memo                the owner's comment for the recipient
+//   created_at, expires_at, activated_at, cancelled_at, expired_at
+export const CHEQUE_COLUMNS = [
+    { name: 'short_id', value: (cheque) => cheque.short_id, text: true },
+    { name: 'status', value: (cheque) => cheque.status || null },
+    { name: 'currency', value: (cheque) => getCurrency(cheque) },
+    { name: 'amount', value: (cheque) => decimalOrNull(cheque.amount, getCurrency(cheque)) },
+    { name: 'activations_total', value: (cheque) => getActivationsTotal(cheque) },
+    { name: 'activations_left', value: (cheque) => getActivationsLeft(cheque) },
+    { name: 'total_amount', value: (cheque) => formatDecimal(multiplyAmount(cheque.amount, getActivationsTotal(cheque)), getCurrency(cheque)) },
+    { name: 'anonymous', value: (cheque) => !!cheque.anonymous },
+    { name: 'password_protected', value: (cheque) => !!cheque.has_password },
+    { name: 'recipient_username', value: (cheque) => cheque.recipient_username || null, text: true },
+    { name: 'memo', value: (cheque) => cheque.memo || null, text: true },
+    { name: 'created_at', value: (cheque) => normalizeTimestamp(cheque.created_at) },
+    { name: 'expires_at', value: (cheque) => normalizeTimestamp(cheque.expires_at) },
+    { name: 'activated_at', value: (cheque) => normalizeTimestamp(cheque.activated_at) },
+    { name: 'cancelled_at', value: (cheque) => normalizeTimestamp(cheque.cancelled_at) },
+    { name: 'expired_at', value: (cheque) => normalizeTimestamp(cheque.expired_at) },
+];
+
+// One row per balance movement, from the ledger:
+//   created_at         when the balance changed
+//   type               ledger entry type, e.g. cheque_create, top_up (LEDGER_TYPES in App.js)
+//   currency           USD, USDT or TON
+//   amount             signed: positive credits the balance, negative debits it
+//   balance_after      the balance in this currency right after the movement
+//   cheque_id          short_id of the cheque involved, if any
+//   counterparty_name  the other user, if known and not anonymous
+//   memo               the cheque's memo, if any
+export const TRANSACTION_COLUMNS = [
+    { name: 'created_at', value: (entry) => normalizeTimestamp(entry.created_at) },
+    { name: 'type', value: (entry) => entry.type },
+    { name: 'currency', value: (entry) => getCurrency(entry) },
+    { name: 'amount', value: (entry) => decimalOrNull(entry.amount, getCurrency(entry)) },
+    { name: 'balance_after', value: (entry) => decimalOrNull(entry.balance_after, getCurrency(entry)) },
+    { name: 'cheque_id', value: (entry) => entry.cheque_id || null, text: true },
+    { name: 'counterparty_name', value: (entry) => entry.counterparty?.name || null, text: true },
+    { name: 'memo', value: (entry) => entry.memo || null, text: true },
+];
+
+// Start (inclusive) and end (exclusive) ISO timestamps of a 'YYYY-MM-DD' date range in local
+// time, as picked in the wallet filters; either bound is null when not set
+export const dateRangeBounds = (from, to) => {
+    let end = null;
+    if (to) {
+        end = new Date(`${to}T00:00:00`);
+        end.setDate(end.getDate() + 1); // Include the whole 'to' day
+    }
+    return {
+        start: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+        end: end && end.toISOString(),
+    };
+};
+
+export const isInRange = (timestamp, { start, end }) => {
+    const value = normalizeTimestamp(timestamp);
+    return !!value && (!start || value >= start) && (!end || value < end);
+};
+
+// A record as { column name: normalized value }
+export const toRow = (columns, record) => Object.fromEntries(columns.map(column => [column.name, column.value(record) ?? null]));
+
+// Spreadsheets run cells starting with these as formulas, so user text gets a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value, { text = false } = {}) => {
+    if (value === null || value === undefined) return '';
+    let cell = String(value);
+    if (text && FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+export const toCsv = (columns, records) => [
+    columns.map(column => column.name).join(','),
+    ...records.map(record => columns.map(column => csvCell(column.value(record), column)).join(',')),
+].map(line => `${line}\r\n`).join('');
+
+export const toJson = ({ cheques = [], transactions = [], from = null, to = null, exportedAt = new Date() }) => JSON.stringify({
+    format_version: EXPORT_FORMAT_VERSION,
+    exported_at: normalizeTimestamp(exportedAt),
+    range: { from: from || null, to: to || null },
+    cheques: cheques.map(cheque => toRow(CHEQUE_COLUMNS, cheque)),
+    transactions: transactions.map(entry => toRow(TRANSACTION_COLUMNS, entry)),
+}, null, 2);
+
+// e.g. bill-activator-cheques-2026-10-01_2026-10-19.csv; an open end of the range is 'all'
+export const exportFileName = (kind, extension, { from = null, to = null } = {}) => (
+    `bill-activator-${kind}-${from || 'all'}_${to || 'all'}.${extension}`
+);
+
+// Files ready to download: { fileName, mimeType, content }
+export const chequesCsvFile = (cheques, range = {}) => ({
+    fileName: exportFileName('cheques', 'csv', range),
+    mimeType: 'text/csv;charset=utf-8',
+    content: `\uFEFF${toCsv(CHEQUE_COLUMNS, cheques)}`,
+});
+
+export const transactionsCsvFile = (transactions, range = {}) => ({
+    fileName: exportFileName('transactions', 'csv', range),
+    mimeType: 'text/csv;charset=utf-8',
+    content: `\uFEFF${toCsv(TRANSACTION_COLUMNS, transactions)}`,
+});
+
+export const jsonFile = ({ cheques, transactions, from = null, to = null, exportedAt = new Date() }) => ({
+    fileName: exportFileName('export', 'json', { from, to }),
+    mimeType: 'application/json',
+    content: toJson({ cheques, transactions, from, to, exportedAt }),
+});
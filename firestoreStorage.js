@@ -0,0 +1,132 @@
+import { doc, collection, collectionGroup, query, where, getDoc, getDocs, setDoc, deleteField, runTransaction, increment } from 'firebase/firestore';
+
+// Cheque service storage backed by Firestore (see the interface in functions/shared/chequeService.js)
+
+// Firestore document references, also used by the app's listeners
+export const profileDocRef = (firestore, appId, uid) => doc(firestore, 'artifacts', appId, 'users', uid, 'data', 'profile');
+export const userChequesCollectionRef = (firestore, appId, uid) => collection(firestore, 'artifacts', appId, 'users', uid, 'cheques');
+export const userChequeDocRef = (firestore, appId, uid, chequeId) => doc(firestore, 'artifacts', appId, 'users', uid, 'cheques', chequeId);
+export const publicChequesCollectionRef = (firestore, appId) => collection(firestore, 'artifacts', appId, 'public', 'data', 'cheques');
+export const publicChequeDocRef = (firestore, appId, chequeId) => doc(firestore, 'artifacts', appId, 'public', 'data', 'cheques', chequeId);
+// One document per activator, so a multi-activation cheque can be redeemed only once per user
+export const chequeActivationsCollectionRef = (firestore, appId, chequeId) => collection(firestore, 'artifacts', appId, 'public', 'data', 'cheques', chequeId, 'activations');
+export const chequeActivationDocRef = (firestore, appId, chequeId, uid) => doc(firestore, 'artifacts', appId, 'public', 'data', 'cheques', chequeId, 'activations', uid);
+// Password hash, salt and wrong guesses of a cheque; only the backend can read it (firestore.rules)
+export const chequeSecretDocRef = (firestore, appId, chequeId) => doc(firestore, 'artifacts', appId, 'public', 'data', 'cheques', chequeId, 'secrets', 'password');
+export const invoiceDocRef = (firestore, appId, uid, invoiceId) => doc(firestore, 'artifacts', appId, 'users', uid, 'invoices', invoiceId);
+export const withdrawalsCollectionRef = (firestore, appId, uid) => collection(firestore, 'artifacts', appId, 'users', uid, 'withdrawals');
+export const ledgerCollectionRef = (firestore, appId, uid) => collection(firestore, 'artifacts', appId, 'users', uid, 'transactions');
+export const notificationsCollectionRef = (firestore, appId, uid) => collection(firestore, 'artifacts', appId, 'users', uid, 'notifications');
+
+const withId = (docSnap) => ({ id: docSnap.id, ...docSnap.data() });
+
+export const createFirestoreStorage = (firestore, appId) => ({
+    runTransaction: (fn) => runTransaction(firestore, (transaction) => {
+        const read = async (ref) => {
+            const snap = await transaction.get(ref);
+            return snap.exists() ? snap.data() : null;
+        };
+
+        return fn({
+            getProfile: (uid) => read(profileDocRef(firestore, appId, uid)),
+            getCheque: async (chequeId) => {
+                const cheque = await read(publicChequeDocRef(firestore, appId, chequeId));
+                return cheque && { id: chequeId, ...cheque };
+            },
+            getActivation: (chequeId, uid) => read(chequeActivationDocRef(firestore, appId, chequeId, uid)),
+            getChequeSecret: (chequeId) => read(chequeSecretDocRef(firestore, appId, chequeId)),
+            getInvoice: (uid, invoiceId) => read(invoiceDocRef(firestore, appId, uid, invoiceId)),
+            getWithdrawal: (uid, withdrawalId) => read(doc(withdrawalsCollectionRef(firestore, appId, uid), withdrawalId)),
+
+            // Server-side increments keep concurrent writers from overwriting each other
+            incrementBalance: (uid, currency, delta) => {
+                transaction.update(profileDocRef(firestore, appId, uid), { [`balances.${currency}`]: increment(delta) });
+            },
+            setLegacyBalances: (uid, balances) => {
+                transaction.update(profileDocRef(firestore, appId, uid), { balances, balance: deleteField() });
+            },
+            incrementHeld: (uid, currency, delta) => {
+                transaction.update(profileDocRef(firestore, appId, uid), { [`pending_withdrawals.${currency}`]: increment(delta) });
+            },
+            addLedgerEntry: (uid, entry) => {
+                transaction.set(doc(ledgerCollectionRef(firestore, appId, uid)), entry);
+            },
+            createCheque: (chequeId, ownerCopy, publicCopy, secret = null) => {
+                transaction.set(userChequeDocRef(firestore, appId, ownerCopy.owner_id, chequeId), ownerCopy);
+                transaction.set(publicChequeDocRef(firestore, appId, chequeId), publicCopy);
+                if (secret) transaction.set(chequeSecretDocRef(firestore, appId, chequeId), secret);
+            },
+            updateCheque: (chequeId, ownerId, fields) => {
+                transaction.update(publicChequeDocRef(firestore, appId, chequeId), fields);
+                transaction.update(userChequeDocRef(firestore, appId, ownerId, chequeId), fields);
+            },
+            addActivation: (chequeId, uid, activation) => {
+                transaction.set(chequeActivationDocRef(firestore, appId, chequeId, uid), activation);
+            },
+            updateInvoice: (uid, invoiceId, fields) => {
+                transaction.update(invoiceDocRef(firestore, appId, uid, invoiceId), fields);
+            },
+            addWithdrawal: (uid, withdrawalId, withdrawal) => {
+                transaction.set(doc(withdrawalsCollectionRef(firestore, appId, uid), withdrawalId), withdrawal);
+            },
+            updateWithdrawal: (uid, withdrawalId, fields) => {
+                transaction.update(doc(withdrawalsCollectionRef(firestore, appId, uid), withdrawalId), fields);
+            },
+            addNotification: (uid, notification) => {
+                transaction.set(doc(notificationsCollectionRef(firestore, appId, uid)), notification);
+            },
+            incrementFailedAttempts: (chequeId) => {
+                transaction.update(chequeSecretDocRef(firestore, appId, chequeId), { failed_attempts: increment(1) });
+            },
+            setActivationThrottle: (uid, throttle) => {
+                transaction.update(profileDocRef(firestore, appId, uid), { activation_throttle: throttle });
+            },
+            // Support actions run in functions/; firestore.rules keep clients out of the audit log
+            addAuditEntry: (entry) => {
+                transaction.set(doc(collection(firestore, 'artifacts', appId, 'audit_log')), entry);
+            },
+        });
+    }),
+
+    getProfile: async (uid) => {
+        const snap = await getDoc(profileDocRef(firestore, appId, uid));
+        return snap.exists() ? snap.data() : null;
+    },
+
+    findChequesByShortId: async (shortId) => {
+        const snapshot = await getDocs(query(publicChequesCollectionRef(firestore, appId), where('short_id', '==', shortId)));
+        return snapshot.docs.map(withId);
+    },
+
+    getChequeSecret: async (chequeId) => {
+        const snap = await getDoc(chequeSecretDocRef(firestore, appId, chequeId));
+        return snap.exists() ? snap.data() : null;
+    },
+
+    listCheques: async (uid, { status = null } = {}) => {
+        const chequesRef = userChequesCollectionRef(firestore, appId, uid);
+        const snapshot = await getDocs(status ? query(chequesRef, where('status', '==', status)) : chequesRef);
+        return snapshot.docs.map(withId);
+    },
+
+    listActivations: async (chequeId) => {
+        const snapshot = await getDocs(chequeActivationsCollectionRef(firestore, appId, chequeId));
+        return snapshot.docs.map(docSnap => docSnap.data());
+    },
+
+    // Profiles live at artifacts/{appId}/users/{uid}/data/profile; other apps' are skipped
+    findUsers: async (field, value) => {
+        const snapshot = await getDocs(query(collectionGroup(firestore, 'data'), where(field, '==', value)));
+        const usersPath = `artifacts/${appId}/users/`;
+        return snapshot.docs
+            .filter(docSnap => docSnap.id === 'profile' && docSnap.ref.path.startsWith(usersPath))
+            .map(docSnap => ({ id: docSnap.ref.parent.parent.id, ...docSnap.data() }));
+    },
+
+    listLedgerEntries: async (uid, { types }) => {
+        const snapshot = await getDocs(query(ledgerCollectionRef(firestore, appId, uid), where('type', 'in', types)));
+        return snapshot.docs.map(withId);
+    },
+
+    createInvoice: (uid, invoiceId, invoice) => setDoc(invoiceDocRef(firestore, appId, uid, invoiceId), invoice),
+});
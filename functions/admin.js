@@ -0,0 +1,119 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { profileDocRef, publicChequesRef } from './refs.js';
+import { getBalances, shortIdVariants, WITHDRAWAL_TRANSITIONS, MAX_AUDIT_REASON_LENGTH } from './shared/chequeService.js';
+import { createAdminStorage } from './adminStorage.js';
+import { addAuditEntry } from './auditLog.js';
+
+// Support tools behind the admin claim (see adminCallable in index.js). Every action that changes
+// something writes an audit entry (auditLog.js) in the same transaction.
+
+const SEARCH_LIMIT = 50;
+
+export class AdminError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Trimmed reason, or null when it is optional and empty
+const cleanReason = (reason, { required = false } = {}) => {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (text.length > MAX_AUDIT_REASON_LENGTH) {
+        throw new AdminError('invalid-argument', `The reason must be at most ${MAX_AUDIT_REASON_LENGTH} characters`);
+    }
+    if (required && !text) {
+        throw new AdminError('invalid-argument', 'A reason is required');
+    }
+    return text || null;
+};
+
+// What support sees of a user
+const userSummary = ({ id, username = null, first_name = null, display_name = null, telegram_id = null, pending_withdrawals = {}, frozen = false, frozen_at = null, frozen_reason = null, join_date = null, ...profile }) => ({
+    id, username, first_name, display_name, telegram_id, balances: getBalances(profile), pending_withdrawals, frozen: !!frozen, frozen_at, frozen_reason, join_date,
+});
+
+// Users and cheques matching a cheque short_id, a user id (as owner_id) or a username.
+// The cheques of every user found are included.
+export const searchAccounts = async (db, appId, query) => {
+    const text = typeof query === 'string' ? query.trim() : '';
+    if (!text || text.includes('/')) {
+        throw new AdminError('invalid-argument', 'A search query is required');
+    }
+    const storage = createAdminStorage(db, appId);
+
+    const [profileSnap, byUsername, ...byShortId] = await Promise.all([
+        profileDocRef(db, appId, text).get(),
+        storage.findUsers('username', text.replace(/^@/, '')),
+        ...shortIdVariants(text).map(variant => storage.findChequesByShortId(variant)),
+    ]);
+    const users = profileSnap.exists ? [{ id: text, ...profileSnap.data() }] : [];
+    byUsername.filter(user => user.id !== text).forEach(user => users.push(user));
+
+    const ownerIds = [...new Set([text, ...users.map(user => user.id)])].slice(0, 30); // 'in' takes at most 30 values
+    const owned = await publicChequesRef(db, appId).where('owner_id', 'in', ownerIds).limit(SEARCH_LIMIT).get();
+    const cheques = byShortId.flat();
+    owned.docs.forEach(docSnap => {
+        if (!cheques.some(cheque => cheque.id === docSnap.id)) cheques.push({ id: docSnap.id, ...docSnap.data() });
+    });
+
+    return {
+        users: users.map(userSummary),
+        cheques: cheques.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || '')),
+    };
+};
+
+// Freeze or unfreeze a user. A frozen user cannot create or activate cheques or move money out
+// (enforced in shared/chequeService.js); their balance stays where it is.
+export const setUserFrozen = async (db, appId, adminUid, { uid, frozen, reason }, { now = new Date() } = {}) => {
+    if (typeof uid !== 'string' || !uid || typeof frozen !== 'boolean') {
+        throw new AdminError('invalid-argument', 'uid and frozen are required');
+    }
+    const cleanedReason = cleanReason(reason);
+    const profileRef = profileDocRef(db, appId, uid);
+
+    return db.runTransaction(async (transaction) => {
+        const profileSnap = await transaction.get(profileRef);
+        if (!profileSnap.exists) {
+            throw new AdminError('not-found', 'User not found');
+        }
+        if (!!profileSnap.data().frozen === frozen) {
+            throw new AdminError('failed-precondition', frozen ? 'User is already frozen' : 'User is not frozen');
+        }
+
+        transaction.update(profileRef, frozen
+            ? { frozen: true, frozen_at: now.toISOString(), frozen_reason: cleanedReason }
+            : { frozen: FieldValue.delete(), frozen_at: FieldValue.delete(), frozen_reason: FieldValue.delete() });
+        addAuditEntry(transaction, db, appId, { adminUid, action: frozen ? 'freeze_user' : 'unfreeze_user', targetUid: uid, reason: cleanedReason, now });
+        return { frozen };
+    });
+};
+
+// Deactivate any user's cheque and refund the unused activations to its owner, through the
+// same cancel as the owner's own delete
+export const cancelChequeAsAdmin = (chequeService, adminUid, { chequeId, reason }) => {
+    if (typeof chequeId !== 'string' || !chequeId) {
+        throw new AdminError('invalid-argument', 'chequeId is required');
+    }
+    return chequeService.cancel({ chequeId, support: { adminUid, reason: cleanReason(reason) } });
+};
+
+// Credit (positive amount) or debit (negative) a balance by hand. Always needs a reason, and
+// cannot take a balance below zero (chequeService.adjustBalance).
+export const adjustBalance = (chequeService, adminUid, { uid, amount, currency, reason }) => {
+    if (typeof uid !== 'string' || !uid) {
+        throw new AdminError('invalid-argument', 'uid is required');
+    }
+    return chequeService.adjustBalance({ userId: uid, amount, currency, support: { adminUid, reason: cleanReason(reason, { required: true }) } });
+};
+
+// Move a withdrawal request through approved/rejected/completed (chequeService.transitionWithdrawal)
+export const updateWithdrawal = (chequeService, adminUid, { uid, withdrawalId, status, note }) => {
+    if (typeof uid !== 'string' || !uid || typeof withdrawalId !== 'string' || !withdrawalId) {
+        throw new AdminError('invalid-argument', 'uid and withdrawalId are required');
+    }
+    if (!WITHDRAWAL_TRANSITIONS[status]) {
+        throw new AdminError('invalid-argument', 'Unknown withdrawal status');
+    }
+    return chequeService.transitionWithdrawal({ userId: uid, withdrawalId, status, support: { adminUid, reason: cleanReason(note) } });
+};
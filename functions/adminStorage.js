@@ -0,0 +1,122 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { chequeSecretRef, profileDocRef, publicChequesRef, userDocRef } from './refs.js';
+import { auditLogRef } from './auditLog.js';
+
+// Cheque service storage on the Admin SDK, so the callable functions run the same rules as
+// shared/chequeService.js does everywhere else (see the storage interface there).
+
+const withId = (docSnap) => ({ id: docSnap.id, ...docSnap.data() });
+
+export const createAdminStorage = (db, appId) => ({
+    runTransaction: (fn) => db.runTransaction((transaction) => {
+        const read = async (ref) => {
+            const snap = await transaction.get(ref);
+            return snap.exists ? snap.data() : null;
+        };
+        const ownerChequeRef = (uid, chequeId) => userDocRef(db, appId, uid).collection('cheques').doc(chequeId);
+        const activationRef = (chequeId, uid) => publicChequesRef(db, appId).doc(chequeId).collection('activations').doc(uid);
+        const invoiceRef = (uid, invoiceId) => userDocRef(db, appId, uid).collection('invoices').doc(invoiceId);
+        const withdrawalRef = (uid, withdrawalId) => userDocRef(db, appId, uid).collection('withdrawals').doc(withdrawalId);
+
+        return fn({
+            getProfile: (uid) => read(profileDocRef(db, appId, uid)),
+            getCheque: async (chequeId) => {
+                const cheque = await read(publicChequesRef(db, appId).doc(chequeId));
+                return cheque && { id: chequeId, ...cheque };
+            },
+            getActivation: (chequeId, uid) => read(activationRef(chequeId, uid)),
+            getChequeSecret: (chequeId) => read(chequeSecretRef(db, appId, chequeId)),
+            getInvoice: (uid, invoiceId) => read(invoiceRef(uid, invoiceId)),
+            getWithdrawal: (uid, withdrawalId) => read(withdrawalRef(uid, withdrawalId)),
+
+            incrementBalance: (uid, currency, delta) => {
+                transaction.update(profileDocRef(db, appId, uid), { [`balances.${currency}`]: FieldValue.increment(delta) });
+            },
+            setLegacyBalances: (uid, balances) => {
+                transaction.update(profileDocRef(db, appId, uid), { balances, balance: FieldValue.delete() });
+            },
+            incrementHeld: (uid, currency, delta) => {
+                transaction.update(profileDocRef(db, appId, uid), { [`pending_withdrawals.${currency}`]: FieldValue.increment(delta) });
+            },
+            addLedgerEntry: (uid, entry) => {
+                transaction.set(userDocRef(db, appId, uid).collection('transactions').doc(), entry);
+            },
+            createCheque: (chequeId, ownerCopy, publicCopy, secret = null) => {
+                transaction.set(ownerChequeRef(ownerCopy.owner_id, chequeId), ownerCopy);
+                transaction.set(publicChequesRef(db, appId).doc(chequeId), publicCopy);
+                if (secret) transaction.set(chequeSecretRef(db, appId, chequeId), secret);
+            },
+            updateCheque: (chequeId, ownerId, fields) => {
+                transaction.update(publicChequesRef(db, appId).doc(chequeId), fields);
+                transaction.update(ownerChequeRef(ownerId, chequeId), fields);
+            },
+            addActivation: (chequeId, uid, activation) => {
+                transaction.set(activationRef(chequeId, uid), activation);
+            },
+            updateInvoice: (uid, invoiceId, fields) => {
+                transaction.update(invoiceRef(uid, invoiceId), fields);
+            },
+            addWithdrawal: (uid, withdrawalId, withdrawal) => {
+                transaction.set(withdrawalRef(uid, withdrawalId), withdrawal);
+            },
+            updateWithdrawal: (uid, withdrawalId, fields) => {
+                transaction.update(withdrawalRef(uid, withdrawalId), fields);
+            },
+            addNotification: (uid, notification) => {
+                transaction.set(userDocRef(db, appId, uid).collection('notifications').doc(), notification);
+            },
+            incrementFailedAttempts: (chequeId) => {
+                transaction.update(chequeSecretRef(db, appId, chequeId), { failed_attempts: FieldValue.increment(1) });
+            },
+            setActivationThrottle: (uid, throttle) => {
+                transaction.update(profileDocRef(db, appId, uid), { activation_throttle: throttle });
+            },
+            // create() fails if the document exists, so an entry is never overwritten
+            addAuditEntry: (entry) => {
+                transaction.create(auditLogRef(db, appId).doc(), entry);
+            },
+        });
+    }),
+
+    getProfile: async (uid) => {
+        const snap = await profileDocRef(db, appId, uid).get();
+        return snap.exists ? snap.data() : null;
+    },
+
+    findChequesByShortId: async (shortId) => {
+        const snapshot = await publicChequesRef(db, appId).where('short_id', '==', shortId).get();
+        return snapshot.docs.map(withId);
+    },
+
+    getChequeSecret: async (chequeId) => {
+        const snap = await chequeSecretRef(db, appId, chequeId).get();
+        return snap.exists ? snap.data() : null;
+    },
+
+    listCheques: async (uid, { status = null } = {}) => {
+        const chequesRef = userDocRef(db, appId, uid).collection('cheques');
+        const snapshot = await (status ? chequesRef.where('status', '==', status) : chequesRef).get();
+        return snapshot.docs.map(withId);
+    },
+
+    listActivations: async (chequeId) => {
+        const snapshot = await publicChequesRef(db, appId).doc(chequeId).collection('activations').get();
+        return snapshot.docs.map(docSnap => docSnap.data());
+    },
+
+    // Profiles live at artifacts/{appId}/users/{uid}/data/profile; other apps' are skipped
+    findUsers: async (field, value) => {
+        const snapshot = await db.collectionGroup('data').where(field, '==', value).get();
+        const usersPath = `artifacts/${appId}/users/`;
+        return snapshot.docs
+            .filter(docSnap => docSnap.id === 'profile' && docSnap.ref.path.startsWith(usersPath))
+            .map(docSnap => ({ id: docSnap.ref.parent.parent.id, ...docSnap.data() }));
+    },
+
+    listLedgerEntries: async (uid, { types }) => {
+        const snapshot = await userDocRef(db, appId, uid).collection('transactions').where('type', 'in', types).get();
+        return snapshot.docs.map(withId);
+    },
+
+    createInvoice: (uid, invoiceId, invoice) => userDocRef(db, appId, uid).collection('invoices').doc(invoiceId).set(invoice),
+});
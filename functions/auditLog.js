@@ -0,0 +1,25 @@
+import { createAuditEntry, AUDIT_LOG_PAGE_SIZE } from './shared/chequeService.js';
+
+// Audit log of everything support staff do through the admin callables, in
+// artifacts/{appId}/audit_log. The log is append-only: entries are created in the same
+// transaction as the action they record and never updated or deleted, and firestore.rules
+// keep clients from writing it at all.
+
+export const auditLogRef = (db, appId) => db.collection('artifacts').doc(appId).collection('audit_log');
+
+// Stage an audit entry for actions outside the cheque service, which stages its own through
+// its storage (tx.addAuditEntry). create() fails if the document exists, so an entry is never overwritten.
+export const addAuditEntry = (transaction, db, appId, { now = new Date(), ...entry }) => {
+    transaction.create(auditLogRef(db, appId).doc(), createAuditEntry({ ...entry, at: now }));
+};
+
+// Newest entries first, AUDIT_LOG_PAGE_SIZE at a time; `before` is the created_at of the last
+// entry of the previous page
+export const listAuditEntries = async (db, appId, { targetUid = null, before = null } = {}) => {
+    let query = auditLogRef(db, appId);
+    if (targetUid) query = query.where('target_uid', '==', targetUid);
+    query = query.orderBy('created_at', 'desc');
+    if (before) query = query.startAfter(before);
+    const snapshot = await query.limit(AUDIT_LOG_PAGE_SIZE).get();
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+};
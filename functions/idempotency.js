@@ -0,0 +1,51 @@
+import { userDocRef } from './refs.js';
+import { ChequeError } from './shared/chequeService.js';
+
+// Idempotency keys for the money callables. The client picks a fresh key per user action and
+// sends the same key when it retries, so a retried call returns the first call's outcome
+// instead of moving money again. Records live in users/{uid}/idempotency/{key}.
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+export const isValidIdempotencyKey = (key) => typeof key === 'string' && IDEMPOTENCY_KEY_PATTERN.test(key);
+
+export class IdempotencyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Run fn once per (uid, key). The key is claimed with create(), which fails if it exists, so two
+// concurrent calls with one key cannot both run. Results and business errors (ChequeError) are
+// stored and replayed; any other error releases the key so the call can be retried.
+export const runOnce = async (db, appId, uid, key, operation, fn, { now = new Date() } = {}) => {
+    const recordRef = userDocRef(db, appId, uid).collection('idempotency').doc(key);
+
+    try {
+        await recordRef.create({ operation, status: 'running', created_at: now.toISOString() });
+    } catch (error) {
+        if (error.code !== 6) throw error; // 6 is gRPC ALREADY_EXISTS
+
+        const record = (await recordRef.get()).data();
+        if (record.operation !== operation) {
+            throw new IdempotencyError('invalid-argument', `Idempotency key was already used for ${record.operation}`);
+        }
+        if (record.status === 'done') return record.result;
+        if (record.status === 'failed') throw new ChequeError(record.error.code, record.error.details);
+        throw new IdempotencyError('aborted', 'A call with this idempotency key is still running');
+    }
+
+    try {
+        const result = await fn();
+        await recordRef.update({ status: 'done', result: result ?? null, completed_at: new Date().toISOString() });
+        return result;
+    } catch (error) {
+        if (error instanceof ChequeError) {
+            await recordRef.update({ status: 'failed', error: { code: error.code, details: error.details }, completed_at: new Date().toISOString() });
+        } else {
+            await recordRef.delete();
+        }
+        throw error;
+    }
+};
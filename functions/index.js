@@ -0,0 +1,248 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { onRequest, onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { onDocumentCreated } from 'firebase-functions/v2/firestore';
+import { sweepExpiredCheques } from './sweepExpiredCheques.js';
+import { validateInitData, telegramClaims, telegramUid } from './telegramAuth.js';
+import { searchAccounts, setUserFrozen, cancelChequeAsAdmin, adjustBalance, updateWithdrawal, AdminError } from './admin.js';
+import { listAuditEntries } from './auditLog.js';
+import { createAdminStorage } from './adminStorage.js';
+import { runOnce, isValidIdempotencyKey, IdempotencyError } from './idempotency.js';
+import { createChequeService, ChequeError, getDisplayName } from './shared/chequeService.js';
+import { createTelegramSender, createMockSender, deliverNotification } from './notifications.js';
+import { profileDocRef } from './refs.js';
+import { CURRENT_TERMS_VERSION } from './shared/terms.js';
+
+const app = initializeApp();
+const db = getFirestore(app);
+const appId = process.env.APP_ID || 'default-app-id';
+const storage = createAdminStorage(db, appId);
+const chequeService = createChequeService({ storage });
+
+// Periodically expire forgotten cheques and return the locked money to their owners
+export const expireCheques = onSchedule('every 10 minutes', async () => {
+    const count = await sweepExpiredCheques(db, appId);
+    console.log(`Expired ${count} cheque(s).`);
+});
+
+// Check the Mini App initData signature and mint a Firebase custom token for the Telegram user
+export const authTelegram = onRequest({ cors: true, secrets: ['TELEGRAM_BOT_TOKEN'] }, async (req, res) => {
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'method_not_allowed' });
+        return;
+    }
+
+    const result = validateInitData(req.body?.initData, process.env.TELEGRAM_BOT_TOKEN);
+    if (!result) {
+        res.status(401).json({ error: 'invalid_init_data' });
+        return;
+    }
+
+    try {
+        const token = await getAuth(app).createCustomToken(telegramUid(result.user), telegramClaims(result.user));
+        res.json({ token });
+    } catch (error) {
+        console.error("Error minting custom token:", error);
+        res.status(500).json({ error: 'internal' });
+    }
+});
+
+// HttpsError status for each ChequeError code; the code itself travels in the error details
+// so the client can show its own message for it
+const CHEQUE_ERROR_STATUS = {
+    invalid_amount: 'invalid-argument',
+    invalid_currency: 'invalid-argument',
+    invalid_activations: 'invalid-argument',
+    invalid_lifetime: 'invalid-argument',
+    invalid_destination: 'invalid-argument',
+    missing_cheque_id: 'invalid-argument',
+    not_found: 'not-found',
+    invoice_not_found: 'not-found',
+    not_owner: 'permission-denied',
+    too_many_attempts: 'resource-exhausted',
+    invalid_recipient: 'invalid-argument',
+    invalid_memo: 'invalid-argument',
+    recipient_not_found: 'not-found',
+    own_recipient: 'invalid-argument',
+    not_recipient: 'permission-denied',
+    account_frozen: 'permission-denied',
+    user_not_found: 'not-found',
+    withdrawal_not_found: 'not-found',
+};
+
+const chequeHttpsError = (error) => new HttpsError(CHEQUE_ERROR_STATUS[error.code] || 'failed-precondition', error.message, { code: error.code, ...error.details });
+
+// A callable for support staff. The `admin` custom claim is set on their Firebase accounts with
+// the Admin SDK (auth.setCustomUserClaims); handlers get the admin's uid for the audit log.
+const adminCallable = (handler) => onCall(async (request) => {
+    if (!request.auth?.token?.admin) {
+        throw new HttpsError('permission-denied', 'Admin role required');
+    }
+
+    try {
+        return await handler(request.auth.uid, request.data || {});
+    } catch (error) {
+        if (error instanceof AdminError || error instanceof IdempotencyError) {
+            throw new HttpsError(error.code, error.message);
+        }
+        if (error instanceof ChequeError) {
+            throw chequeHttpsError(error);
+        }
+        throw error;
+    }
+});
+
+// Support staff move withdrawal requests through approved/rejected/completed
+export const updateWithdrawalStatus = adminCallable(async (adminUid, { uid, withdrawalId, status, note }) => {
+    const withdrawal = await updateWithdrawal(chequeService, adminUid, { uid, withdrawalId, status, note });
+    return { status: withdrawal.status };
+});
+
+export const adminSearch = adminCallable((adminUid, { query }) => searchAccounts(db, appId, query));
+
+export const adminSetUserFrozen = adminCallable((adminUid, { uid, frozen, reason }) => setUserFrozen(db, appId, adminUid, { uid, frozen, reason }));
+
+export const adminCancelCheque = adminCallable((adminUid, { chequeId, reason }) => cancelChequeAsAdmin(chequeService, adminUid, { chequeId, reason }));
+
+// Idempotent like the money callables below, so a retried adjustment is not applied twice
+export const adminAdjustBalance = adminCallable(async (adminUid, { idempotencyKey, uid, amount, currency, reason }) => {
+    if (!isValidIdempotencyKey(idempotencyKey)) {
+        throw new HttpsError('invalid-argument', 'A valid idempotencyKey is required');
+    }
+    return runOnce(db, appId, adminUid, idempotencyKey, 'admin_adjust', () => adjustBalance(chequeService, adminUid, { uid, amount, currency, reason }));
+});
+
+export const adminAuditLog = adminCallable((adminUid, { targetUid, before }) => listAuditEntries(db, appId, { targetUid: targetUid || null, before: before || null }));
+
+// Record that the user accepted the terms. The client names the version it showed, so a user
+// who read an older text is not recorded as accepting a newer one.
+export const acceptTerms = onCall(async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) {
+        throw new HttpsError('unauthenticated', 'Sign-in required');
+    }
+    if (request.data?.version !== CURRENT_TERMS_VERSION) {
+        throw new HttpsError('failed-precondition', 'These terms are not the current version');
+    }
+
+    const acceptedAt = new Date().toISOString();
+    await profileDocRef(db, appId, uid).update({ terms_accepted_version: CURRENT_TERMS_VERSION, terms_accepted_at: acceptedAt });
+    return { version: CURRENT_TERMS_VERSION, acceptedAt };
+});
+
+// A signed-in callable that moves money. Every call carries an idempotencyKey, so a retry
+// returns the first call's outcome instead of running again.
+const moneyCallable = (operation, handler) => onCall(async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) {
+        throw new HttpsError('unauthenticated', 'Sign-in required');
+    }
+    const { idempotencyKey, ...data } = request.data || {};
+    if (!isValidIdempotencyKey(idempotencyKey)) {
+        throw new HttpsError('invalid-argument', 'A valid idempotencyKey is required');
+    }
+
+    try {
+        return await runOnce(db, appId, uid, idempotencyKey, operation, () => handler(uid, data));
+    } catch (error) {
+        if (error instanceof ChequeError) {
+            throw chequeHttpsError(error);
+        }
+        if (error instanceof IdempotencyError) {
+            throw new HttpsError(error.code, error.message);
+        }
+        throw error;
+    }
+});
+
+// Top-ups come only from the local mock provider so far, whose invoices live in the browser.
+// They are trusted only when the app config enables mock payments (the same switch as in
+// firestore.rules); a real provider would check the invoice status with its API instead.
+const isInvoicePaid = async (invoiceId) => {
+    const config = await db.collection('artifacts').doc(appId).collection('public').doc('config').get();
+    return config.exists && config.data().mock_payments === true && invoiceId.startsWith('inv_');
+};
+
+export const createCheque = moneyCallable('create', async (uid, { amount, currency, activations, anonymous, password, lifetimeHours, recipient, memo }) => {
+    // The owner's name shown on activation comes from their profile, not from the request
+    const profile = await storage.getProfile(uid);
+    return chequeService.create({
+        userId: uid,
+        owner: { firstName: getDisplayName(profile), username: profile?.username || '' },
+        amount,
+        currency,
+        activations,
+        anonymous: !!anonymous,
+        password: password || '',
+        lifetimeHours: lifetimeHours ?? null,
+        recipient: recipient || null,
+        memo: memo || null,
+    });
+});
+
+// Cheques are looked up by code only here, where unknown codes count towards the activation
+// lockout (clients cannot query public cheques, see firestore.rules)
+export const previewCheque = onCall(async (request) => {
+    const uid = request.auth?.uid;
+    if (!uid) {
+        throw new HttpsError('unauthenticated', 'Sign-in required');
+    }
+    try {
+        return await chequeService.preview({ userId: uid, shortId: request.data?.shortId });
+    } catch (error) {
+        if (error instanceof ChequeError) {
+            throw chequeHttpsError(error);
+        }
+        throw error;
+    }
+});
+
+export const activateCheque = moneyCallable('activate', async (uid, { shortId, password }) => {
+    const cheque = await chequeService.activate({ userId: uid, shortId, password: password || '' });
+    // Only what the activation message needs; the password hash stays on the server
+    return {
+        short_id: cheque.short_id,
+        amount: cheque.amount,
+        currency: cheque.currency || null,
+        anonymous: !!cheque.anonymous,
+        owner_first_name: cheque.anonymous ? null : cheque.owner_first_name,
+        owner_username: cheque.anonymous ? null : cheque.owner_username,
+        memo: cheque.memo || null,
+    };
+});
+
+export const cancelCheque = moneyCallable('cancel', (uid, { chequeId }) => chequeService.cancel({ userId: uid, chequeId }));
+
+export const confirmTopUp = moneyCallable('top_up', async (uid, { invoiceId }) => {
+    if (typeof invoiceId !== 'string' || !(await isInvoicePaid(invoiceId))) {
+        throw new HttpsError('failed-precondition', 'Invoice is not paid');
+    }
+    return { credited: await chequeService.creditInvoice({ userId: uid, invoiceId }) };
+});
+
+export const requestWithdrawal = moneyCallable('withdraw', (uid, { amount, currency, destination }) => (
+    chequeService.requestWithdrawal({ userId: uid, amount, currency, destination })
+));
+
+// Optionally forward inbox notifications as Telegram bot messages. Off unless
+// TELEGRAM_NOTIFICATIONS is 'true'; NOTIFICATION_SENDER=mock only logs them (e.g. under the emulator).
+export const forwardNotification = onDocumentCreated({
+    document: 'artifacts/{appId}/users/{uid}/notifications/{notificationId}',
+    secrets: ['TELEGRAM_BOT_TOKEN'],
+}, async (event) => {
+    if (process.env.TELEGRAM_NOTIFICATIONS !== 'true' || !event.data) return;
+
+    const sender = process.env.NOTIFICATION_SENDER === 'mock'
+        ? createMockSender()
+        : createTelegramSender({ botToken: process.env.TELEGRAM_BOT_TOKEN });
+    try {
+        const sent = await deliverNotification(db, event.params.appId, event.params.uid, event.data.data(), sender);
+        if (sent && sender.sent) {
+            console.log("Notification (mock sender):", sender.sent[0]);
+        }
+    } catch (error) {
+        console.error("Error forwarding notification:", error);
+    }
+});
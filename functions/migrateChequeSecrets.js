@@ -0,0 +1,50 @@
+import { pathToFileURL } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { chequeSecretRef, publicChequesRef, userDocRef } from './refs.js';
+
+// One-off migration of cheque passwords out of the public cheque copy, which any signed-in user
+// can get, into the server-only secrets/password document next to it. Both copies get
+// `has_password`. Run it before deploying the functions that read passwords from the secret:
+// until then a password-protected cheque without a secret cannot be activated.
+
+export const migrateChequeSecrets = async (db, appId) => {
+    const markerRef = db.collection('artifacts').doc(appId).collection('public').doc('migrations');
+    const marker = await markerRef.get();
+    if (marker.exists && marker.data().cheque_secrets) {
+        return { skipped: true };
+    }
+
+    const writer = db.bulkWriter();
+    let moved = 0;
+
+    const snapshot = await publicChequesRef(db, appId).where('password_hash', '!=', null).get();
+    for (const chequeDoc of snapshot.docs) {
+        const { password_hash, password_salt, failed_attempts = 0, owner_id } = chequeDoc.data();
+        writer.set(chequeSecretRef(db, appId, chequeDoc.id), { password_hash, password_salt, failed_attempts });
+        writer.update(chequeDoc.ref, {
+            has_password: true,
+            password_hash: FieldValue.delete(),
+            password_salt: FieldValue.delete(),
+            failed_attempts: FieldValue.delete(),
+        });
+        writer.update(userDocRef(db, appId, owner_id).collection('cheques').doc(chequeDoc.id), { has_password: true });
+        moved++;
+    }
+
+    await writer.close();
+    await markerRef.set({ cheque_secrets: new Date().toISOString() }, { merge: true });
+    return { moved };
+};
+
+// Run against the emulator first:
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 APP_ID=default-app-id node functions/migrateChequeSecrets.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const app = initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-bill-activator' });
+    migrateChequeSecrets(getFirestore(app), process.env.APP_ID || 'default-app-id')
+        .then((result) => console.log(result.skipped ? 'Already migrated, nothing to do.' : `Moved passwords of ${result.moved} cheques.`))
+        .catch((error) => {
+            console.error("Error migrating cheque secrets:", error);
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,60 @@
+import { pathToFileURL } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { userDocRef } from './refs.js';
+
+// One-off migration from the `active` 0/1 flag (and `expired: true` from the sweep) to the
+// `status` field. An inactive cheque that was not expired was either used up or deleted by its
+// owner; its activations tell which. Both copies of every cheque are updated. Run it before
+// deploying the client and functions that query by status.
+
+// Status fields for a cheque written before statuses, given its activation records
+const legacyStatusFields = (cheque, activations) => {
+    if (cheque.active === 1) return { status: 'active' };
+    if (cheque.expired) return { status: 'expired', expired_at: cheque.expires_at || null };
+    if (activations.length >= (cheque.activations_total ?? 1)) {
+        const last = activations.map(activation => activation.activated_at).sort().pop() || null;
+        return { status: 'activated', activated_at: last, activated_by: null };
+    }
+    return { status: 'cancelled', cancelled_at: null, cancelled_by: 'owner' };
+};
+
+export const migrateChequeStatuses = async (db, appId) => {
+    const appRef = db.collection('artifacts').doc(appId);
+    const markerRef = appRef.collection('public').doc('migrations');
+    const marker = await markerRef.get();
+    if (marker.exists && marker.data().cheque_statuses) {
+        return { skipped: true };
+    }
+
+    const writer = db.bulkWriter();
+    const counts = { active: 0, activated: 0, cancelled: 0, expired: 0 };
+
+    const snapshot = await appRef.collection('public').doc('data').collection('cheques').get();
+    for (const chequeDoc of snapshot.docs) {
+        const cheque = chequeDoc.data();
+        if (cheque.status) continue;
+
+        const activations = (await chequeDoc.ref.collection('activations').get()).docs.map(docSnap => docSnap.data());
+        const update = { ...legacyStatusFields(cheque, activations), active: FieldValue.delete(), expired: FieldValue.delete() };
+        writer.update(chequeDoc.ref, update);
+        writer.update(userDocRef(db, appId, cheque.owner_id).collection('cheques').doc(chequeDoc.id), update);
+        counts[update.status]++;
+    }
+
+    await writer.close();
+    await markerRef.set({ cheque_statuses: new Date().toISOString() }, { merge: true });
+    return counts;
+};
+
+// Run against the emulator first:
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 APP_ID=default-app-id node functions/migrateChequeStatuses.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const app = initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-bill-activator' });
+    migrateChequeStatuses(getFirestore(app), process.env.APP_ID || 'default-app-id')
+        .then((result) => console.log(result.skipped ? 'Already migrated, nothing to do.' : `Migrated: ${JSON.stringify(result)}`))
+        .catch((error) => {
+            console.error("Error migrating cheque statuses:", error);
+            process.exitCode = 1;
+        });
+}
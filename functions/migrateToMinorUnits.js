@@ -0,0 +1,85 @@
+import { pathToFileURL } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { DEFAULT_CURRENCY, fromLegacyFloat } from './shared/money.js';
+
+// One-off migration from float amounts in major units to integer minor units.
+// Converts profile balances and holds, both cheque copies, ledger entries, invoices and
+// withdrawals. A marker document records the run, so running it twice is a no-op instead
+// of multiplying every amount again. Run it before deploying the client that expects minor units.
+
+const toMinor = (value, record) => fromLegacyFloat(value, record.currency || DEFAULT_CURRENCY);
+
+const convertMap = (map) => Object.fromEntries(
+    Object.entries(map || {}).map(([currency, value]) => [currency, fromLegacyFloat(value, currency)])
+);
+
+// Convert the listed numeric fields of every document in a collection
+const migrateCollection = async (writer, collectionRef, fields) => {
+    const snapshot = await collectionRef.get();
+    for (const docSnap of snapshot.docs) {
+        const data = docSnap.data();
+        const update = {};
+        for (const field of fields) {
+            if (typeof data[field] === 'number') {
+                update[field] = toMinor(data[field], data);
+            }
+        }
+        if (Object.keys(update).length > 0) {
+            writer.update(docSnap.ref, update);
+        }
+    }
+    return snapshot.size;
+};
+
+export const migrateToMinorUnits = async (db, appId) => {
+    const appRef = db.collection('artifacts').doc(appId);
+    const markerRef = appRef.collection('public').doc('migrations');
+    const marker = await markerRef.get();
+    if (marker.exists && marker.data().money_minor_units) {
+        return { skipped: true };
+    }
+
+    const writer = db.bulkWriter();
+    const counts = { profiles: 0, cheques: 0, transactions: 0, invoices: 0, withdrawals: 0, publicCheques: 0 };
+
+    // Documents under users/{uid} may not exist themselves, only their subcollections
+    const userRefs = await appRef.collection('users').listDocuments();
+    for (const userRef of userRefs) {
+        const profileRef = userRef.collection('data').doc('profile');
+        const profileSnap = await profileRef.get();
+        if (profileSnap.exists) {
+            const profile = profileSnap.data();
+            const balances = profile.balances
+                ? convertMap(profile.balances)
+                : { [DEFAULT_CURRENCY]: fromLegacyFloat(profile.balance) };
+            const held = typeof profile.pending_withdrawals === 'number'
+                ? { [DEFAULT_CURRENCY]: fromLegacyFloat(profile.pending_withdrawals) }
+                : convertMap(profile.pending_withdrawals);
+            writer.update(profileRef, { balances, pending_withdrawals: held, balance: FieldValue.delete() });
+            counts.profiles++;
+        }
+
+        counts.cheques += await migrateCollection(writer, userRef.collection('cheques'), ['amount']);
+        counts.transactions += await migrateCollection(writer, userRef.collection('transactions'), ['amount', 'balance_after']);
+        counts.invoices += await migrateCollection(writer, userRef.collection('invoices'), ['amount']);
+        counts.withdrawals += await migrateCollection(writer, userRef.collection('withdrawals'), ['amount']);
+    }
+    counts.publicCheques = await migrateCollection(writer, appRef.collection('public').doc('data').collection('cheques'), ['amount']);
+
+    await writer.close();
+    await markerRef.set({ money_minor_units: new Date().toISOString() }, { merge: true });
+    return counts;
+};
+
+// Run against the emulator first:
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 APP_ID=default-app-id node functions/migrateToMinorUnits.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const app = initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-bill-activator' });
+    migrateToMinorUnits(getFirestore(app), process.env.APP_ID || 'default-app-id')
+        .then((result) => console.log(result.skipped ? 'Already migrated, nothing to do.' : `Migrated: ${JSON.stringify(result)}`))
+        .catch((error) => {
+            console.error("Error migrating amounts:", error);
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,51 @@
+import { profileDocRef } from './refs.js';
+import { createTranslator, matchLocale, DEFAULT_LOCALE } from './shared/i18n.js';
+import { notificationMessage } from './shared/notificationText.js';
+
+// Delivery of inbox notifications outside the app. A sender implements:
+//   name                    - for logs
+//   send({ chatId, text })  -> Promise, rejects if the message was not delivered
+
+// Sends through the Telegram Bot API as the app's bot
+export const createTelegramSender = ({ botToken, fetchImpl = fetch }) => ({
+    name: 'telegram',
+    send: async ({ chatId, text }) => {
+        const response = await fetchImpl(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ chat_id: chatId, text }),
+        });
+        if (!response.ok) {
+            throw new Error(`Telegram sendMessage failed with status ${response.status}`);
+        }
+    },
+});
+
+// Keeps messages in memory instead of sending them, for tests and the local emulator
+export const createMockSender = () => {
+    const sent = [];
+    return {
+        name: 'mock',
+        sent,
+        send: async (message) => {
+            sent.push(message);
+        },
+    };
+};
+
+// The message in the recipient's language (their Telegram language_code), worded as in the app
+export const notificationText = (notification, languageCode = null) => (
+    notificationMessage(createTranslator(matchLocale(languageCode) || DEFAULT_LOCALE), notification)
+);
+
+// Send a notification to the user's Telegram chat. Returns false when there is nothing to send
+// or the user did not sign in through Telegram.
+export const deliverNotification = async (db, appId, uid, notification, sender) => {
+    const profileSnap = await profileDocRef(db, appId, uid).get();
+    const profile = profileSnap.exists ? profileSnap.data() : null;
+    const text = notificationText(notification, profile?.language_code);
+    if (!text || !profile?.telegram_id) return false;
+
+    await sender.send({ chatId: profile.telegram_id, text });
+    return true;
+};
@@ -0,0 +1,8 @@
+// Admin SDK references to the documents the functions read and write. Balance changes go through
+// the cheque service (shared/chequeService.js) over adminStorage.js, never straight to these.
+
+export const userDocRef = (db, appId, uid) => db.collection('artifacts').doc(appId).collection('users').doc(uid);
+export const profileDocRef = (db, appId, uid) => userDocRef(db, appId, uid).collection('data').doc('profile');
+export const publicChequesRef = (db, appId) => db.collection('artifacts').doc(appId).collection('public').doc('data').collection('cheques');
+// A password-protected cheque's hash, salt and wrong guesses; firestore.rules keep clients out
+export const chequeSecretRef = (db, appId, chequeId) => publicChequesRef(db, appId).doc(chequeId).collection('secrets').doc('password');
@@ -0,0 +1,647 @@
+import { DEFAULT_CURRENCY, CURRENCIES, addAmounts, multiplyAmount, fromLegacyFloat } from './money.js';
+import { hasAcceptedTerms } from './terms.js';
+
+// Cheque business rules, independent of React and of where the data lives.
+// The service runs on a storage backend (firestoreStorage.js or memoryStorage.js) with this interface:
+//
+//   runTransaction(fn)                       -> runs fn(tx) atomically and returns its result
+//     tx.getProfile(uid)                     -> profile | null
+//     tx.getCheque(chequeId)                 -> public cheque copy with its id | null
+//     tx.getActivation(chequeId, uid)        -> activation record | null
+//     tx.getChequeSecret(chequeId)           -> the cheque's password secret | null
+//     tx.getInvoice(uid, invoiceId)          -> invoice | null
+//     tx.getWithdrawal(uid, withdrawalId)    -> withdrawal request | null
+//     tx.incrementBalance(uid, currency, delta)
+//     tx.setLegacyBalances(uid, balances)    -> replaces a pre-multi-currency `balance` with `balances`
+//     tx.incrementHeld(uid, currency, delta)
+//     tx.addLedgerEntry(uid, entry)
+//     tx.createCheque(chequeId, ownerCopy, publicCopy, secret)   -> secret is null without a password
+//     tx.updateCheque(chequeId, ownerId, fields)   -> updates both copies
+//     tx.addActivation(chequeId, uid, activation)
+//     tx.updateInvoice(uid, invoiceId, fields)
+//     tx.addWithdrawal(uid, withdrawalId, withdrawal)
+//     tx.updateWithdrawal(uid, withdrawalId, fields)
+//     tx.addNotification(uid, notification)
+//     tx.incrementFailedAttempts(chequeId)   -> counts a wrong password in the cheque's secret
+//     tx.setActivationThrottle(uid, throttle) -> the profile's activation_throttle (see claimActivationAttempt)
+//     tx.addAuditEntry(entry)                -> records a support action (see createAuditEntry)
+//   getProfile(uid)                          -> profile | null
+//   findChequesByShortId(shortId)            -> public cheque copies with their ids
+//   getChequeSecret(chequeId)                -> { password_hash, password_salt, failed_attempts } | null
+//   listCheques(uid, { status })             -> the owner's cheque copies with their ids, all or of one status
+//   listActivations(chequeId)                -> the cheque's activation records
+//   listLedgerEntries(uid, { types })        -> the user's ledger entries of these types
+//   findUsers(field, value)                  -> profiles with their user ids whose field equals value
+//   createInvoice(uid, invoiceId, invoice)
+//
+// Inside a transaction every read must happen before the first write, as Firestore requires.
+//
+// In the app the money methods (create, activate, cancel, creditInvoice, requestWithdrawal) and
+// preview run on the backend through remoteChequeService.js; the callables in functions/ run this same
+// service over functions/adminStorage.js. That is why this module and the ones it imports live in
+// functions/shared/: the deployed functions can only load files from the functions directory, and
+// the app imports them from here too.
+
+// Password-protected cheques lock after this many wrong passwords
+export const MAX_PASSWORD_ATTEMPTS = 5;
+// A user who fails this many activations (unknown codes, wrong passwords) within the window is
+// locked out of activating for a while, so codes cannot be guessed by brute force
+export const MAX_FAILED_ACTIVATIONS = 10;
+export const ACTIVATION_FAILURE_WINDOW_MINUTES = 15;
+export const ACTIVATION_LOCKOUT_MINUTES = 15;
+export const MAX_WITHDRAWAL_DESTINATION_LENGTH = 128;
+
+// Allowed moves between withdrawal statuses. A request starts as 'pending' when the user
+// creates it in the app; 'rejected' and 'completed' are final.
+export const WITHDRAWAL_TRANSITIONS = {
+    pending: ['approved', 'rejected'],
+    approved: ['completed', 'rejected'],
+    rejected: [],
+    completed: [],
+};
+export const MAX_MEMO_LENGTH = 140;
+// Display names are set by the user on the profile page (checked again in firestore.rules)
+export const MAX_DISPLAY_NAME_LENGTH = 64;
+
+// A broken business rule. `code` identifies the rule and doubles as the message: the app shows
+// the `errors.<code>` message of the user's locale (shared/locales), filled in from `details`.
+export class ChequeError extends Error {
+    constructor(code, details = {}) {
+        super(code);
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Documents written before multi-currency support have no currency field and are in USD
+export const getCurrency = (record) => record?.currency || DEFAULT_CURRENCY;
+
+// The name the user chose on the profile page, falling back to their Telegram first name
+export const getDisplayName = (profile) => profile?.display_name || profile?.first_name || '';
+
+// Per-currency balances of a profile, in minor units. Older profiles keep a single USD `balance`
+// float, which changeBalance moves into `balances` on the first write.
+export const getBalances = (profile) => profile?.balances || { [DEFAULT_CURRENCY]: fromLegacyFloat(profile?.balance) };
+export const getHeldBalances = (profile) => (typeof profile?.pending_withdrawals === 'number'
+    ? { [DEFAULT_CURRENCY]: fromLegacyFloat(profile.pending_withdrawals) }
+    : profile?.pending_withdrawals || {});
+
+// Support actions need a reason of at most this length (functions/admin.js); the audit log is
+// read AUDIT_LOG_PAGE_SIZE entries at a time (functions/auditLog.js)
+export const MAX_AUDIT_REASON_LENGTH = 500;
+export const AUDIT_LOG_PAGE_SIZE = 50;
+
+// An entry of the audit log of support actions (functions/auditLog.js). `at` is a Date.
+export const createAuditEntry = ({ adminUid, action, targetUid = null, chequeId = null, reason = null, details = {}, at }) => ({
+    admin_uid: adminUid,
+    action,
+    target_uid: targetUid,
+    cheque_id: chequeId,
+    reason,
+    details,
+    created_at: at.toISOString(),
+});
+
+// Lifecycle of a cheque. It starts 'active' and ends 'activated' (all activations used),
+// 'cancelled' (by its owner or support) or 'expired' (by the sweep in functions/).
+export const CHEQUE_STATUSES = ['active', 'activated', 'cancelled', 'expired'];
+export const isChequeActive = (cheque) => cheque.status === 'active';
+
+// Cheques created before multi-activation support have no counters and hold a single activation
+export const getActivationsTotal = (cheque) => cheque.activations_total ?? 1;
+export const getActivationsLeft = (cheque) => cheque.activations_left ?? (isChequeActive(cheque) ? 1 : 0);
+
+export const isChequeExpired = (cheque, now = new Date()) => !!cheque.expires_at && new Date(cheque.expires_at) <= now;
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+// Derive a salted PBKDF2 hash of a cheque password, so only the hash is stored. It goes into the
+// cheque's secret, a server-only document next to the public copy that any signed-in user can get.
+const hashChequePassword = async (password, salt) => {
+    const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: new TextEncoder().encode(salt), iterations: 100000, hash: 'SHA-256' },
+        keyMaterial,
+        256
+    );
+    return toHex(new Uint8Array(bits));
+};
+
+// Cheque codes: 12 symbols from an alphabet without the lookalikes 0/O and 1/I, i.e. 60 random
+// bits from the platform's secure generator. 32 symbols divide 256, so every symbol is equally likely.
+const SHORT_ID_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const SHORT_ID_LENGTH = 12;
+const MAX_SHORT_ID_ATTEMPTS = 5;
+
+const generateShortId = () => Array.from(
+    crypto.getRandomValues(new Uint8Array(SHORT_ID_LENGTH)),
+    (byte) => SHORT_ID_ALPHABET[byte % SHORT_ID_ALPHABET.length],
+).join('');
+
+// Codes are typed by hand, so ignore surrounding spaces and the case of current codes. Older codes
+// were lowercase hex and are looked up as they are.
+export const shortIdVariants = (shortId) => {
+    const trimmed = String(shortId).trim();
+    return [...new Set([trimmed, trimmed.toUpperCase()])];
+};
+
+// The failure counter after one more failed activation at `at`
+const nextActivationThrottle = (throttle, at) => {
+    const windowOpen = throttle?.window_started_at
+        && at.getTime() - Date.parse(throttle.window_started_at) < ACTIVATION_FAILURE_WINDOW_MINUTES * 60000;
+    const failures = (windowOpen ? throttle.failures : 0) + 1;
+    return {
+        failures,
+        window_started_at: windowOpen ? throttle.window_started_at : at.toISOString(),
+        locked_until: failures >= MAX_FAILED_ACTIVATIONS
+            ? new Date(at.getTime() + ACTIVATION_LOCKOUT_MINUTES * 60000).toISOString()
+            : null,
+    };
+};
+
+// A cheque memo as it is stored: control, zero-width and text-direction characters removed and
+// whitespace collapsed, so it shows as one plain line everywhere. null when nothing is left.
+export const sanitizeMemo = (memo) => {
+    const text = String(memo ?? '')
+        .replace(/[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text || null;
+};
+
+// Recipient of a personal cheque as typed at creation: a Telegram user id is all digits,
+// anything else is a username with or without the leading @
+const parseRecipient = (recipient) => {
+    const value = String(recipient).trim();
+    if (/^\d+$/.test(value)) return { field: 'telegram_id', value: Number(value) };
+    const username = value.replace(/^@/, '');
+    return /^[\w-]{1,64}$/.test(username) ? { field: 'username', value: username } : null;
+};
+
+// Activation failures that come from guessing, and count towards the lockout
+const THROTTLED_FAILURES = ['not_found', 'wrong_password'];
+
+export const createChequeService = ({ storage, now = () => new Date(), generateId = generateShortId }) => {
+    // Stage a balance change and its ledger entry and return the new balance. Reads the profile,
+    // so call it before any writes. Support (`bySupport`) can also debit frozen accounts.
+    const changeBalance = async (tx, uid, amount, currency, { type, counterparty = null, chequeId = null, memo = null, bySupport = false }) => {
+        const profile = await tx.getProfile(uid);
+        if (amount < 0 && !bySupport) requireUnfrozen(profile);
+        const balances = getBalances(profile);
+        const newBalance = addAmounts(balances[currency] || 0, amount);
+        if (newBalance < 0) {
+            throw new ChequeError('insufficient_funds');
+        }
+
+        if (profile?.balances) {
+            tx.incrementBalance(uid, currency, amount);
+        } else {
+            tx.setLegacyBalances(uid, { ...balances, [currency]: newBalance });
+        }
+        tx.addLedgerEntry(uid, {
+            type,
+            amount,
+            currency,
+            counterparty, // { id, name } of the other party, or null if unknown/anonymous
+            cheque_id: chequeId,
+            memo, // Of the cheque, so payments can be traced in the history
+            balance_after: newBalance,
+            created_at: now().toISOString(),
+        });
+        return newBalance;
+    };
+
+    // Creating and activating cheques needs the current terms to be accepted (terms.js)
+    const requireTerms = (profile) => {
+        if (!hasAcceptedTerms(profile)) {
+            throw new ChequeError('terms_not_accepted');
+        }
+    };
+
+    // Support can freeze an account (functions/admin.js): no money leaves it and it activates
+    // nothing, while refunds of its own cheques still come in
+    const requireUnfrozen = (profile) => {
+        if (profile?.frozen) {
+            throw new ChequeError('account_frozen');
+        }
+    };
+
+    // The one user a personal cheque is for; usernames match as Telegram reports them
+    const resolveRecipient = async (recipient, ownerId) => {
+        const query = parseRecipient(recipient);
+        if (!query) throw new ChequeError('invalid_recipient');
+        const users = await storage.findUsers(query.field, query.value);
+        if (users.length !== 1) throw new ChequeError('recipient_not_found');
+        if (users[0].id === ownerId) throw new ChequeError('own_recipient');
+        return users[0];
+    };
+
+    // Refund the activations nobody used to the owner and close the cheque with `fields`
+    const closeCheque = async (tx, cheque, ledgerType, fields) => {
+        const currency = getCurrency(cheque);
+        const refund = multiplyAmount(cheque.amount, getActivationsLeft(cheque));
+        await changeBalance(tx, cheque.owner_id, refund, currency, { type: ledgerType, chequeId: cheque.short_id, memo: cheque.memo || null });
+        tx.updateCheque(cheque.id, cheque.owner_id, { activations_left: 0, ...fields });
+        return { refund, currency };
+    };
+
+    const findCheques = async (shortId) => (
+        await Promise.all(shortIdVariants(shortId).map(variant => storage.findChequesByShortId(variant)))
+    ).flat();
+
+    // A fresh code that no existing cheque has
+    const uniqueShortId = async () => {
+        for (let attempt = 0; attempt < MAX_SHORT_ID_ATTEMPTS; attempt++) {
+            const shortId = generateId();
+            if ((await storage.findChequesByShortId(shortId)).length === 0) return shortId;
+        }
+        throw new Error('Could not generate a unique cheque code');
+    };
+
+    // Count an attempt as failed before it runs, in a transaction, so a burst of parallel guesses
+    // cannot all get past the lockout. Returns the throttle for releaseActivationAttempt.
+    const claimActivationAttempt = (uid) => storage.runTransaction(async (tx) => {
+        const throttle = (await tx.getProfile(uid))?.activation_throttle;
+        const lockedUntil = Date.parse(throttle?.locked_until || '');
+        if (lockedUntil > now().getTime()) {
+            throw new ChequeError('too_many_attempts', { retryAfterMinutes: Math.ceil((lockedUntil - now().getTime()) / 60000) });
+        }
+        const claimed = nextActivationThrottle(throttle, now());
+        tx.setActivationThrottle(uid, claimed);
+        return claimed;
+    });
+
+    // Take back a claimed attempt that turned out not to be a guess, unless its window is over
+    const releaseActivationAttempt = (uid, claimed) => storage.runTransaction(async (tx) => {
+        const throttle = (await tx.getProfile(uid))?.activation_throttle;
+        if (throttle?.window_started_at !== claimed.window_started_at || !(throttle.failures > 0)) return;
+        const failures = throttle.failures - 1;
+        tx.setActivationThrottle(uid, { ...throttle, failures, locked_until: failures >= MAX_FAILED_ACTIVATIONS ? throttle.locked_until : null });
+    });
+
+    // Run fn unless the user is locked out; only the guessing failures it throws stay counted
+    const throttled = async (uid, fn) => {
+        const claimed = await claimActivationAttempt(uid);
+        try {
+            const result = await fn();
+            await releaseActivationAttempt(uid, claimed);
+            return result;
+        } catch (error) {
+            if (!(error instanceof ChequeError && THROTTLED_FAILURES.includes(error.code))) {
+                await releaseActivationAttempt(uid, claimed);
+            }
+            throw error;
+        }
+    };
+
+    // The activation itself, for activate() once the terms and the lockout are checked
+    const activateFound = async (userId, shortId, password) => {
+        const cheques = await findCheques(shortId);
+        if (cheques.length === 0) throw new ChequeError('not_found');
+
+        // Pick an active cheque from the results; the transaction below re-checks it
+        const candidate = cheques.find(isChequeActive);
+        if (!candidate) throw new ChequeError('inactive');
+        if (isChequeExpired(candidate, now())) throw new ChequeError('expired');
+        if (candidate.owner_id === userId) throw new ChequeError('own_cheque');
+        if (candidate.recipient_id && candidate.recipient_id !== userId) throw new ChequeError('not_recipient');
+
+        // The transaction retries if another activation touches the cheque first. The password is
+        // compared inside it, so parallel guesses are counted one at a time against the cap.
+        const result = await storage.runTransaction(async (tx) => {
+            const cheque = await tx.getCheque(candidate.id);
+            if (!cheque || !isChequeActive(cheque)) throw new ChequeError('inactive');
+            if (isChequeExpired(cheque, now())) throw new ChequeError('expired');
+            if (cheque.has_password) {
+                const secret = await tx.getChequeSecret(candidate.id);
+                const failedAttempts = secret?.failed_attempts || 0;
+                if (!secret || failedAttempts >= MAX_PASSWORD_ATTEMPTS) throw new ChequeError('locked');
+                if (!password) throw new ChequeError('password_required');
+                if (await hashChequePassword(password, secret.password_salt) !== secret.password_hash) {
+                    // Returned rather than thrown, so the count is committed with the transaction
+                    tx.incrementFailedAttempts(candidate.id);
+                    return { attemptsLeft: MAX_PASSWORD_ATTEMPTS - failedAttempts - 1 };
+                }
+            }
+            if (await tx.getActivation(candidate.id, userId)) throw new ChequeError('already_activated');
+            // Anonymous cheques stay anonymous both ways, so the owner is not told who activated them
+            const activator = cheque.anonymous ? null : await tx.getProfile(userId);
+
+            await changeBalance(tx, userId, cheque.amount, getCurrency(cheque), {
+                type: 'cheque_activate',
+                counterparty: cheque.anonymous ? null : { id: cheque.owner_id, name: cheque.owner_first_name },
+                chequeId: cheque.short_id,
+                memo: cheque.memo || null,
+            });
+
+            // Who activated is kept for the owner's timeline, except on anonymous cheques
+            const activatedAt = now().toISOString();
+            const activatedBy = activator && { id: userId, name: getDisplayName(activator) || null, username: activator.username || null };
+            const activationsLeft = getActivationsLeft(cheque) - 1;
+            tx.updateCheque(candidate.id, cheque.owner_id, activationsLeft > 0
+                ? { activations_left: activationsLeft }
+                : { activations_left: 0, status: 'activated', activated_at: activatedAt, activated_by: activatedBy });
+            tx.addActivation(candidate.id, userId, { user_id: userId, activated_at: activatedAt, activator: activatedBy });
+            tx.addNotification(cheque.owner_id, {
+                type: 'cheque_activated',
+                cheque_id: cheque.short_id,
+                amount: cheque.amount,
+                currency: getCurrency(cheque),
+                activator: activatedBy,
+                memo: cheque.memo || null,
+                read: false,
+                created_at: now().toISOString(),
+            });
+            return { cheque };
+        });
+        if (!result.cheque) throw new ChequeError('wrong_password', { attemptsLeft: result.attemptsLeft });
+        return result.cheque;
+    };
+
+    return {
+        // What a cheque link holds, for the activation page. Unknown codes count towards the
+        // activation lockout, so previews cannot be used to probe for live codes either.
+        async preview({ userId, shortId }) {
+            if (!shortId) throw new ChequeError('missing_cheque_id');
+            return throttled(userId, async () => {
+                const cheques = await findCheques(shortId);
+                if (cheques.length === 0) throw new ChequeError('not_found');
+                const cheque = cheques.find(isChequeActive);
+                if (!cheque) throw new ChequeError('inactive');
+                // Past its expiry but not swept yet: it could not be activated either
+                if (isChequeExpired(cheque, now())) throw new ChequeError('expired');
+                return {
+                    short_id: cheque.short_id,
+                    amount: cheque.amount,
+                    currency: getCurrency(cheque),
+                    anonymous: !!cheque.anonymous,
+                    owner_first_name: cheque.anonymous ? null : cheque.owner_first_name,
+                    owner_username: cheque.anonymous ? null : cheque.owner_username,
+                    has_password: !!cheque.has_password,
+                    recipient_username: cheque.recipient_id ? cheque.recipient_username : null,
+                    memo: cheque.memo || null,
+                };
+            });
+        },
+
+        async getBalance({ userId, currency = DEFAULT_CURRENCY }) {
+            return getBalances(await storage.getProfile(userId))[currency] || 0;
+        },
+
+        // Totals for the profile page. Amounts are per currency: `sent` is what other users took
+        // from the user's cheques, `outstanding` what is still reserved in active ones.
+        async getStats({ userId }) {
+            const [entries, activeCheques] = await Promise.all([
+                storage.listLedgerEntries(userId, { types: ['cheque_create', 'cheque_refund', 'cheque_expired', 'cheque_activate'] }),
+                storage.listCheques(userId, { status: 'active' }),
+            ]);
+            const stats = { chequesCreated: 0, chequesActivated: 0, activeCheques: activeCheques.length, sent: {}, received: {}, outstanding: {} };
+            const add = (totals, currency, amount) => {
+                totals[currency] = addAmounts(totals[currency] || 0, amount);
+            };
+
+            entries.forEach(entry => {
+                const currency = getCurrency(entry);
+                if (entry.type === 'cheque_activate') {
+                    stats.chequesActivated += 1;
+                    add(stats.received, currency, entry.amount);
+                } else {
+                    // Reserved on create (negative), minus refunds of unused activations
+                    if (entry.type === 'cheque_create') stats.chequesCreated += 1;
+                    add(stats.sent, currency, -entry.amount);
+                }
+            });
+            activeCheques.forEach(cheque => {
+                const currency = getCurrency(cheque);
+                const reserved = multiplyAmount(cheque.amount, getActivationsLeft(cheque));
+                add(stats.outstanding, currency, reserved);
+                add(stats.sent, currency, -reserved);
+            });
+            return stats;
+        },
+
+        async list({ userId, status = null }) {
+            return storage.listCheques(userId, { status });
+        },
+
+        // Everything that happened to the owner's cheque, oldest first: created, each activation,
+        // and how it ended. Each event is { type, at } plus `activator` on activations.
+        async getTimeline({ userId, cheque }) {
+            if (cheque.owner_id !== userId) throw new ChequeError('not_owner');
+            const activations = await storage.listActivations(cheque.id);
+            const events = [
+                { type: 'created', at: cheque.created_at },
+                ...activations.map(activation => ({ type: 'activation', at: activation.activated_at, activator: activation.activator || null })),
+            ];
+            if (cheque.status === 'activated') events.push({ type: 'activated', at: cheque.activated_at });
+            if (cheque.status === 'cancelled') events.push({ type: 'cancelled', at: cheque.cancelled_at, by: cheque.cancelled_by || 'owner' });
+            if (cheque.status === 'expired') events.push({ type: 'expired', at: cheque.expired_at || cheque.expires_at });
+            return events
+                .filter(event => event.at)
+                .sort((a, b) => a.at.localeCompare(b.at));
+        },
+
+        // Reserve amount × activations from the owner's balance and publish the cheque.
+        // `amount` is per activation, in minor units.
+        // A personal cheque (`recipient` given) has a single activation that only the recipient can use.
+        async create({ userId, owner, amount, currency = DEFAULT_CURRENCY, activations = 1, anonymous = false, password = '', lifetimeHours = null, recipient = null, memo = null }) {
+            if (!Number.isSafeInteger(amount) || amount <= 0) throw new ChequeError('invalid_amount');
+            if (!CURRENCIES[currency]) throw new ChequeError('invalid_currency');
+            if (!Number.isInteger(activations) || activations < 1) throw new ChequeError('invalid_activations');
+            if (lifetimeHours !== null && !(lifetimeHours > 0)) throw new ChequeError('invalid_lifetime');
+            if (recipient && activations !== 1) throw new ChequeError('invalid_activations');
+            const cleanMemo = sanitizeMemo(memo);
+            if (cleanMemo && cleanMemo.length > MAX_MEMO_LENGTH) throw new ChequeError('invalid_memo', { max: MAX_MEMO_LENGTH });
+            const profile = await storage.getProfile(userId);
+            requireTerms(profile);
+            requireUnfrozen(profile);
+            const recipientProfile = recipient ? await resolveRecipient(recipient, userId) : null;
+
+            const createdAt = now();
+            const shortId = await uniqueShortId();
+            const chequeId = `${userId}-${shortId}`; // Unique ID for storage
+            const totalAmount = multiplyAmount(amount, activations);
+            const cheque = {
+                short_id: shortId,
+                owner_id: userId,
+                amount: amount, // Paid out per activation
+                currency,
+                activations_total: activations,
+                activations_left: activations,
+                status: 'active',
+                anonymous,
+                created_at: createdAt.toISOString(),
+                expires_at: lifetimeHours ? new Date(createdAt.getTime() + lifetimeHours * 60 * 60 * 1000).toISOString() : null,
+                // Personal cheques; the recipient finds them by recipient_id (see firestore.rules)
+                recipient_id: recipientProfile ? recipientProfile.id : null,
+                recipient_username: recipientProfile ? recipientProfile.username || null : null,
+                memo: cleanMemo,
+                has_password: !!password,
+            };
+
+            // Only the salted hash of the password is stored, in the cheque's server-only secret
+            let secret = null;
+            if (password) {
+                const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+                secret = { password_hash: await hashChequePassword(password, salt), password_salt: salt, failed_attempts: 0 };
+            }
+
+            await storage.runTransaction(async (tx) => {
+                await changeBalance(tx, userId, -totalAmount, currency, { type: 'cheque_create', chequeId: shortId, memo: cleanMemo });
+                tx.createCheque(chequeId, cheque, {
+                    ...cheque,
+                    // Include the owner's name for display during activation
+                    owner_first_name: owner.firstName,
+                    owner_username: owner.username,
+                }, secret);
+            });
+            return { id: chequeId, ...cheque, total_amount: totalAmount };
+        },
+
+        // Use up one activation and credit its amount to the activator. Returns the cheque as it was.
+        async activate({ userId, shortId, password = '' }) {
+            if (!shortId) throw new ChequeError('missing_cheque_id');
+            const profile = await storage.getProfile(userId);
+            requireTerms(profile);
+            requireUnfrozen(profile);
+            return throttled(userId, () => activateFound(userId, shortId, password));
+        },
+
+        // Deactivate the owner's cheque and refund the activations nobody used. Support can cancel
+        // anyone's cheque by passing `support` ({ adminUid, reason }), which is audit-logged.
+        async cancel({ userId = null, chequeId, support = null }) {
+            return storage.runTransaction(async (tx) => {
+                const cheque = await tx.getCheque(chequeId);
+                if (!cheque) throw new ChequeError('not_found');
+                if (!support && cheque.owner_id !== userId) throw new ChequeError('not_owner');
+                if (!isChequeActive(cheque)) throw new ChequeError('inactive');
+
+                const result = await closeCheque(tx, cheque, 'cheque_refund', { status: 'cancelled', cancelled_at: now().toISOString(), cancelled_by: support ? 'support' : 'owner' });
+                if (support) {
+                    tx.addAuditEntry(createAuditEntry({ ...support, action: 'cancel_cheque', targetUid: cheque.owner_id, chequeId: cheque.short_id, details: result, at: now() }));
+                }
+                return result;
+            });
+        },
+
+        // Credit (positive amount) or debit (negative) a balance by hand, for support
+        // ({ adminUid, reason }). Cannot take the balance below zero; audit-logged.
+        async adjustBalance({ userId, amount, currency, support }) {
+            if (!Number.isSafeInteger(amount) || amount === 0) throw new ChequeError('invalid_amount');
+            if (!CURRENCIES[currency]) throw new ChequeError('invalid_currency');
+
+            return storage.runTransaction(async (tx) => {
+                if (!(await tx.getProfile(userId))) throw new ChequeError('user_not_found');
+
+                const balanceAfter = await changeBalance(tx, userId, amount, currency, { type: 'admin_adjustment', bySupport: true });
+                tx.addAuditEntry(createAuditEntry({
+                    ...support,
+                    action: 'adjust_balance',
+                    targetUid: userId,
+                    details: { amount, currency, balance_after: balanceAfter },
+                    at: now(),
+                }));
+                return { balanceAfter, currency };
+            });
+        },
+
+        // Close an active cheque past its expiry and refund its unused activations, for the sweep
+        // in functions/. Returns false if the cheque is not due, or was activated or cancelled since.
+        async expire({ chequeId }) {
+            return storage.runTransaction(async (tx) => {
+                const cheque = await tx.getCheque(chequeId);
+                if (!cheque || !isChequeActive(cheque) || !isChequeExpired(cheque, now())) return false;
+
+                await closeCheque(tx, cheque, 'cheque_expired', { status: 'expired', expired_at: now().toISOString() });
+                return true;
+            });
+        },
+
+        // Remember an invoice issued by the payment provider, so it can be credited later
+        async recordInvoice({ userId, invoiceId, provider, amount, currency }) {
+            await storage.createInvoice(userId, invoiceId, {
+                provider,
+                amount,
+                currency,
+                status: 'pending',
+                created_at: now().toISOString(),
+            });
+        },
+
+        // Credit a paid invoice exactly once. Safe to call again for the same invoice: the
+        // stored status is checked and flipped in the same transaction as the credit.
+        async creditInvoice({ userId, invoiceId }) {
+            return storage.runTransaction(async (tx) => {
+                const invoice = await tx.getInvoice(userId, invoiceId);
+                if (!invoice) throw new ChequeError('invoice_not_found');
+                if (invoice.status === 'credited') return false;
+
+                await changeBalance(tx, userId, invoice.amount, getCurrency(invoice), { type: 'top_up' });
+                tx.updateInvoice(userId, invoiceId, { status: 'credited', credited_at: now().toISOString() });
+                return true;
+            });
+        },
+
+        // Move the amount from the balance into the withdrawal hold and open a request
+        async requestWithdrawal({ userId, amount, currency = DEFAULT_CURRENCY, destination }) {
+            if (!Number.isSafeInteger(amount) || amount <= 0) throw new ChequeError('invalid_amount');
+            if (!CURRENCIES[currency]) throw new ChequeError('invalid_currency');
+            const trimmed = (destination || '').trim();
+            if (!trimmed || trimmed.length > MAX_WITHDRAWAL_DESTINATION_LENGTH) throw new ChequeError('invalid_destination');
+
+            const withdrawalId = crypto.randomUUID();
+            await storage.runTransaction(async (tx) => {
+                await changeBalance(tx, userId, -amount, currency, { type: 'withdrawal_hold' });
+
+                const createdAt = now().toISOString();
+                tx.incrementHeld(userId, currency, amount);
+                tx.addWithdrawal(userId, withdrawalId, {
+                    amount,
+                    currency,
+                    destination: trimmed,
+                    status: 'pending',
+                    created_at: createdAt,
+                    updated_at: createdAt,
+                    history: [{ status: 'pending', at: createdAt, note: null }],
+                });
+            });
+            return { id: withdrawalId };
+        },
+
+        // Move a withdrawal request to its next status, for support ({ adminUid, reason }).
+        // Rejecting returns the held amount to the balance; completing releases the hold because
+        // the money has left the app. Audit-logged.
+        async transitionWithdrawal({ userId, withdrawalId, status, support }) {
+            return storage.runTransaction(async (tx) => {
+                const withdrawal = await tx.getWithdrawal(userId, withdrawalId);
+                if (!withdrawal) throw new ChequeError('withdrawal_not_found');
+                if (!(WITHDRAWAL_TRANSITIONS[withdrawal.status] || []).includes(status)) {
+                    throw new ChequeError('invalid_withdrawal_status', { from: withdrawal.status, to: status });
+                }
+
+                const currency = getCurrency(withdrawal);
+                if (status === 'rejected') {
+                    await changeBalance(tx, userId, withdrawal.amount, currency, { type: 'withdrawal_refund', bySupport: true });
+                }
+                if (status === 'rejected' || status === 'completed') {
+                    tx.incrementHeld(userId, currency, -withdrawal.amount);
+                }
+
+                const at = now().toISOString();
+                tx.updateWithdrawal(userId, withdrawalId, {
+                    status,
+                    updated_at: at,
+                    history: [...(withdrawal.history || []), { status, at, note: support.reason }],
+                });
+                tx.addAuditEntry(createAuditEntry({
+                    ...support,
+                    action: 'withdrawal_status',
+                    targetUid: userId,
+                    details: { withdrawal_id: withdrawalId, from: withdrawal.status, to: status, amount: withdrawal.amount, currency },
+                    at: now(),
+                }));
+                return { ...withdrawal, status };
+            });
+        },
+    };
+};
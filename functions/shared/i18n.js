@@ -0,0 +1,79 @@
+import { formatAmount } from './money.js';
+import ru from './locales/ru.js';
+import en from './locales/en.js';
+
+// Message catalogs and locale-aware formatting. Catalogs (locales/*.js) map flat keys to
+// messages with {name} placeholders. A message that depends on a count is an object keyed by
+// Intl.PluralRules category (one, few, many, other), picked by the `count` parameter.
+
+export const LOCALES = {
+    ru: { name: 'Русский', messages: ru },
+    en: { name: 'English', messages: en },
+};
+export const DEFAULT_LOCALE = 'ru';
+
+const LOCALE_STORAGE_KEY = 'locale';
+
+// 'en-US', 'en_GB' or 'EN' -> 'en' if there is a catalog for it, otherwise null
+export const matchLocale = (code) => {
+    const language = String(code || '').toLowerCase().split(/[-_]/)[0];
+    return LOCALES[language] ? language : null;
+};
+
+// Locale for a first visit: the Telegram user's language, then the browser's, then the default
+export const detectLocale = ({ telegramLanguageCode = null, browserLanguages = [] } = {}) => (
+    matchLocale(telegramLanguageCode) || browserLanguages.map(matchLocale).find(Boolean) || DEFAULT_LOCALE
+);
+
+// Locale the user picked by hand, which wins over detection
+export const getSavedLocale = () => {
+    try {
+        return matchLocale(localStorage.getItem(LOCALE_STORAGE_KEY));
+    } catch (error) {
+        return null; // Storage can be unavailable, e.g. in some webviews
+    }
+};
+
+export const saveLocale = (locale) => {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        console.error("Error saving locale:", error);
+    }
+};
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// t(key, params) returns the message with placeholders filled in. Missing keys fall back to
+// the default locale, then to the key itself. The returned function also carries the locale
+// and formatters for amounts, numbers and dates in that locale.
+export const createTranslator = (locale) => {
+    const messages = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages;
+    const fallback = LOCALES[DEFAULT_LOCALE].messages;
+    const pluralRules = new Intl.PluralRules(locale);
+
+    const resolve = (key, params) => {
+        const message = messages[key] ?? fallback[key] ?? key;
+        if (typeof message === 'string') return message;
+        return message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    };
+
+    const t = (key, params = {}) => resolve(key, params)
+        .replace(PLACEHOLDER, (match, name) => (name in params ? String(params[name]) : match));
+
+    // The message split into text and placeholder parts, for callers that style the values
+    t.parts = (key, params = {}) => resolve(key, params)
+        .split(/(\{\w+\})/)
+        .filter(Boolean)
+        .map(part => {
+            const match = /^\{(\w+)\}$/.exec(part);
+            return match && match[1] in params ? { name: match[1], value: params[match[1]] } : part;
+        });
+
+    t.locale = locale;
+    t.formatAmount = (minor, currency) => formatAmount(minor, currency, locale);
+    t.formatNumber = (value) => new Intl.NumberFormat(locale).format(value);
+    t.formatDate = (value) => new Date(value).toLocaleDateString(locale);
+    t.formatDateTime = (value) => new Date(value).toLocaleString(locale);
+    return t;
+};
@@ -0,0 +1,280 @@
+// English messages; keys missing here fall back to locales/ru.js
+export default {
+    'app.title': 'Bill Activator',
+    'app.loading': 'Loading...',
+    'app.defaultUserName': 'User',
+    'app.telegramSignInFailed': 'Could not sign in with Telegram.',
+    'app.firebaseInitFailed': 'Firebase initialization failed.',
+
+    'common.next': 'Next',
+    'common.back': 'Back',
+    'common.cancel': 'Cancel',
+    'common.done': 'Done',
+    'common.home': 'Home',
+    'common.ok': 'OK',
+    'common.amountPlaceholder': 'For example, 10.50',
+    'common.copied': 'Copied to clipboard.',
+    'common.copyFailed': 'Could not copy.',
+
+    'nav.home': 'Home',
+    'nav.create': 'Create',
+    'nav.activate': 'Activate',
+    'nav.wallet': 'Wallet',
+
+    'home.balance': 'Your balance',
+    'home.held': 'Held for withdrawal: {amount}',
+    'home.topUp': 'Top up',
+    'home.withdraw': 'Withdraw',
+    'home.createCheque': 'Create cheque',
+    'home.activateCheque': 'Activate cheque',
+    'home.terms': 'License agreement',
+    'home.incoming': 'Cheques for you',
+    'home.myCheques': 'My cheques',
+    'home.admin': 'Admin console',
+
+    'create.title': 'New cheque',
+    'create.amountPrompt': 'Cheque amount:',
+    'create.currencyOption': '{currency} ({amount} available)',
+    'create.activationsPrompt': 'Number of activations (the amount above is per activation):',
+    'create.amountSummary': 'Cheque amount: {amount}',
+    'create.reserveSummary': 'Activations: {count}, {total} will be reserved',
+    'create.anonymous': 'Anonymous cheque',
+    'create.recipientPlaceholder': 'Recipient: Telegram @username or id (optional)',
+    'create.personalFor': 'Only for @{username}',
+    'create.passwordPlaceholder': 'Password (optional)',
+    'create.memoPlaceholder': 'Note for the recipient (optional)',
+    'create.customHoursPlaceholder': 'Lifetime in hours',
+    'create.submit': 'Create cheque',
+    'create.changeAmount': 'Change amount',
+    'create.abort': 'Cancel',
+    'create.created': 'Cheque for {amount} created!',
+    'create.createdMulti': {
+        one: 'Cheque for {count} activation of {amount} created!',
+        other: 'Cheque for {count} activations of {amount} each created!',
+    },
+    'create.id': 'ID: {id}',
+    'create.telegramLink': 'Telegram link',
+    'create.webLink': 'Web link',
+    'create.showQr': 'Show QR code',
+    'create.failed': 'Could not create the cheque.',
+
+    'lifetime.none': 'No expiry',
+    'lifetime.hour': '1 hour',
+    'lifetime.day': '1 day',
+    'lifetime.week': '7 days',
+    'lifetime.custom': 'Custom (in hours)',
+
+    'activate.title': 'Activate cheque',
+    'activate.anonymousCheque': 'Anonymous cheque',
+    'activate.from': 'from {name} (@{username})',
+    'activate.passwordProtected': 'This cheque is password protected',
+    'activate.personalFor': 'Personal cheque for @{username}',
+    'activate.memo': 'Note: “{memo}”',
+    'activate.idPrompt': 'Enter the cheque ID:',
+    'activate.idPlaceholder': 'Cheque ID',
+    'activate.scan': 'Scan QR code',
+    'activate.passwordPlaceholder': 'Password (if any)',
+    'activate.submit': 'Activate',
+    'activate.successAnonymous': '💰 You activated an anonymous cheque for {amount}.',
+    'activate.success': '💰 You activated a cheque from {name} (@{username}) for {amount}.',
+    'activate.failed': 'Could not activate the cheque.',
+
+    'cheques.title': 'My cheques',
+    'cheques.tab.active': 'Active ({count})',
+    'cheques.tab.activated': 'Used ({count})',
+    'cheques.tab.cancelled': 'Cancelled ({count})',
+    'cheques.tab.expired': 'Expired ({count})',
+    'cheques.status.active': 'Active',
+    'cheques.status.activated': 'Used',
+    'cheques.status.cancelled': 'Cancelled',
+    'cheques.status.expired': 'Expired',
+    'cheques.searchPlaceholder': 'Search by cheque ID',
+    'cheques.sortLabel': 'Sort order',
+    'cheques.sort.newest': 'Newest first',
+    'cheques.sort.oldest': 'Oldest first',
+    'cheques.sort.amountDesc': 'Highest amount',
+    'cheques.sort.amountAsc': 'Lowest amount',
+    'cheques.empty': 'No cheques here yet.',
+    'cheques.noMatches': 'No cheques with this ID.',
+    'cheques.details': 'Cheque {id}',
+    'cheques.timeline.title': 'Timeline',
+    'cheques.timeline.created': 'Cheque created',
+    'cheques.timeline.activation': 'Activated',
+    'cheques.timeline.activationBy': 'Activated by {name}{username}',
+    'cheques.timeline.activated': 'All activations used',
+    'cheques.timeline.cancelled': 'Deleted, the rest returned to your balance',
+    'cheques.timeline.cancelledBySupport': 'Cancelled by support, the rest returned to your balance',
+    'cheques.timeline.expired': 'Expired, the rest returned to your balance',
+    'cheques.timelineFailed': 'Could not load the cheque timeline.',
+
+    'delete.expiresAt': 'until {date}',
+    'delete.personalFor': 'for @{username}',
+    'delete.activationsLeft': '{left} of {total} left',
+    'delete.confirmTitle': 'Delete cheque',
+    'delete.confirmMessage': 'Delete cheque {id}? {amount} will be returned to your balance.',
+    'delete.success': 'Cheque {id} deleted. {amount} returned to your balance.',
+    'delete.failed': 'Could not delete the cheque.',
+
+    'qr.title': 'Cheque {id}',
+    'qr.alt': 'QR code of cheque {id}',
+    'qr.hint': 'Scan to activate the cheque.',
+    'qr.failed': 'Could not create the QR code.',
+    'qr.noChequeId': 'The QR code does not contain a cheque ID.',
+    'scanner.title': 'Scan QR code',
+    'scanner.cameraUnavailable': 'Camera unavailable. Upload a photo of the QR code.',
+    'scanner.upload': 'Upload image',
+    'scanner.notFound': 'No QR code found in the image.',
+    'scanner.close': 'Close',
+
+    'topUp.title': 'Top up',
+    'topUp.amountPrompt': 'Top-up amount:',
+    'topUp.createInvoice': 'Create invoice',
+    'topUp.invoiceFor': 'Invoice for {amount}',
+    'topUp.pending': 'Waiting for payment...',
+    'topUp.credited': 'Paid, funds credited.',
+    'topUp.expired': 'The invoice has expired.',
+    'topUp.goToPayment': 'Go to payment',
+    'topUp.payTestMode': 'Pay (test mode)',
+    'topUp.invoiceFailed': 'Could not create the invoice.',
+    'topUp.invoiceExpired': 'The invoice has expired.',
+    'topUp.success': 'Balance topped up by {amount}.',
+    'topUp.creditFailed': 'Could not credit the payment.',
+
+    'withdraw.title': 'Withdraw',
+    'withdraw.available': 'Available: {amount}',
+    'withdraw.amountPlaceholder': 'Amount',
+    'withdraw.destinationPlaceholder': 'Wallet address or card token',
+    'withdraw.submit': 'Request withdrawal',
+    'withdraw.openRequests': 'Open requests',
+    'withdraw.held': 'Held: {amount}',
+    'withdraw.noOpenRequests': 'No open requests.',
+    'withdraw.success': 'Withdrawal request for {amount} created.',
+    'withdraw.failed': 'Could not create the withdrawal request.',
+    'withdraw.status.pending': 'Under review',
+    'withdraw.status.approved': 'Approved',
+    'withdraw.status.rejected': 'Rejected',
+    'withdraw.status.completed': 'Completed',
+
+    'wallet.title': 'Transaction history',
+    'wallet.allTypes': 'All transactions',
+    'wallet.empty': 'No transactions found.',
+    'wallet.balanceAfter': 'Balance: {amount}',
+    'wallet.cheque': 'Cheque {id}',
+    'wallet.loadFailed': 'Could not load the transaction history.',
+    'wallet.exportTitle': 'Export',
+    'wallet.exportHint': 'Cheques and transactions in the dates chosen above (all time if none are set).',
+    'wallet.export.cheques': 'Cheques CSV',
+    'wallet.export.transactions': 'Transactions CSV',
+    'wallet.export.json': 'JSON',
+    'wallet.exported': 'Export downloaded.',
+    'wallet.exportFailed': 'Could not export the data.',
+    'ledger.cheque_create': 'Cheque created',
+    'ledger.cheque_activate': 'Cheque activated',
+    'ledger.cheque_refund': 'Cheque refund',
+    'ledger.cheque_expired': 'Expired cheque refund',
+    'ledger.top_up': 'Top-up',
+    'ledger.withdrawal_hold': 'Withdrawal request',
+    'ledger.withdrawal_refund': 'Rejected withdrawal refund',
+    'ledger.admin_adjustment': 'Adjustment by support',
+
+    'notifications.title': 'Notifications',
+    'notifications.empty': 'No notifications yet.',
+    'notifications.chequeActivated': '💰 {name}{username} activated your cheque {id} for {amount}.',
+    'notifications.chequeActivatedAnonymous': '💰 Your cheque {id} for {amount} was activated.',
+
+    'profile.title': 'Profile',
+    'profile.displayName': 'Display name',
+    'profile.save': 'Save',
+    'profile.username': 'Username: @{username}',
+    'profile.joinDate': 'Member since {date}',
+    'profile.stats': 'Statistics',
+    'profile.chequesCreated': 'Cheques created',
+    'profile.chequesActivated': 'Cheques activated',
+    'profile.sent': 'Sent',
+    'profile.received': 'Received',
+    'profile.activeCheques': 'Active cheques',
+    'profile.outstanding': 'Reserved in cheques',
+    'profile.statsFailed': 'Could not load the statistics.',
+    'profile.invalidName': 'The name must be 1 to {max} characters long.',
+    'profile.nameSaved': 'Name saved.',
+    'profile.nameSaveFailed': 'Could not save the name.',
+
+    'terms.title': 'License agreement',
+    'terms.version': 'Version {version} of {date}',
+    'terms.accept': 'I accept',
+    'terms.accepted': 'Terms accepted.',
+    'terms.acceptedAt': 'You accepted these terms on {date}.',
+    'terms.acceptFailed': 'Could not save your acceptance.',
+    'terms.required': 'Accept the license agreement to create and activate cheques.',
+
+    'admin.title': 'Admin console',
+    'admin.searchPlaceholder': 'Cheque ID, user ID or @username',
+    'admin.search': 'Search',
+    'admin.reasonPlaceholder': 'Reason (recorded in the audit log)',
+    'admin.reasonRequired': 'Enter a reason for the balance adjustment.',
+    'admin.users': 'Users',
+    'admin.noUsers': 'No users found.',
+    'admin.cheques': 'Cheques',
+    'admin.noCheques': 'No cheques found.',
+    'admin.owner': 'Owner: {id}',
+    'admin.frozenSince': 'Frozen since {date}',
+    'admin.freeze': 'Freeze',
+    'admin.unfreeze': 'Unfreeze',
+    'admin.frozen': 'User {user} frozen.',
+    'admin.unfrozen': 'User {user} unfrozen.',
+    'admin.cancelCheque': 'Cancel cheque',
+    'admin.cancelConfirm': 'Cancel cheque {id}? {amount} will be returned to the owner.',
+    'admin.cancelled': 'Cheque {id} cancelled, {amount} returned to the owner.',
+    'admin.adjustBalance': 'Adjust balance',
+    'admin.credit': 'Credit',
+    'admin.debit': 'Debit',
+    'admin.adjustConfirm': 'Change the balance of {user} by {amount}? Reason: {reason}',
+    'admin.adjusted': 'Balance of {user} changed by {amount}.',
+    'admin.failed': 'The action failed: {reason}',
+    'admin.auditLog': 'Audit log',
+    'admin.auditEmpty': 'No entries yet.',
+    'admin.auditLoadFailed': 'Could not load the audit log.',
+    'admin.auditFilterPlaceholder': 'User ID (empty for all)',
+    'admin.auditFilter': 'Filter',
+    'admin.auditMore': 'Show older entries',
+    'admin.by': '{admin}, {date}',
+    'admin.action.freeze_user': 'User frozen',
+    'admin.action.unfreeze_user': 'User unfrozen',
+    'admin.action.cancel_cheque': 'Cheque cancelled with refund',
+    'admin.action.adjust_balance': 'Balance adjusted',
+    'admin.action.withdrawal_status': 'Withdrawal status changed',
+
+    // ChequeError codes from functions/shared/chequeService.js
+    'errors.invalid_amount': 'Please enter a valid amount.',
+    'errors.invalid_currency': 'Unknown currency.',
+    'errors.invalid_activations': 'Please enter a valid number of activations.',
+    'errors.invalid_lifetime': 'Please enter a valid lifetime.',
+    'errors.invalid_destination': 'Please enter valid withdrawal details.',
+    'errors.missing_cheque_id': 'Please enter the cheque ID.',
+    'errors.insufficient_funds': 'Insufficient balance.',
+    'errors.not_found': 'This cheque does not exist.',
+    'errors.inactive': 'This cheque has been activated or deleted.',
+    'errors.expired': 'This cheque has expired.',
+    'errors.own_cheque': 'You cannot activate your own cheque.',
+    'errors.already_activated': 'You have already activated this cheque.',
+    'errors.locked': 'This cheque is locked after too many wrong passwords.',
+    'errors.password_required': 'This cheque is password protected. Enter the password.',
+    'errors.wrong_password': {
+        one: 'Wrong password. {count} attempt left.',
+        other: 'Wrong password. {count} attempts left.',
+    },
+    'errors.wrong_password_locked': 'Wrong password. The cheque is locked.',
+    'errors.not_owner': 'This is not your cheque.',
+    'errors.invoice_not_found': 'Invoice not found.',
+    'errors.terms_not_accepted': 'Please accept the current version of the license agreement.',
+    'errors.too_many_attempts': 'Too many failed activation attempts. Try again in {retryAfterMinutes} min.',
+    'errors.invalid_recipient': 'Enter the recipient as a Telegram @username or numeric id.',
+    'errors.recipient_not_found': 'Recipient not found. They need to open the app at least once.',
+    'errors.own_recipient': 'You cannot make a cheque out to yourself.',
+    'errors.not_recipient': 'This cheque is meant for another user.',
+    'errors.invalid_memo': 'The note must be at most {max} characters long.',
+    'errors.account_frozen': 'Your account is frozen. Please contact support.',
+    'errors.user_not_found': 'User not found.',
+    'errors.withdrawal_not_found': 'Withdrawal request not found.',
+    'errors.invalid_withdrawal_status': 'The withdrawal request cannot be moved to this status.',
+};
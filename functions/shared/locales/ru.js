@@ -0,0 +1,284 @@
+// Russian messages; the default catalog and the fallback for keys missing elsewhere (see i18n.js)
+export default {
+    'app.title': 'Bill Activator',
+    'app.loading': 'Загрузка...',
+    'app.defaultUserName': 'Пользователь',
+    'app.telegramSignInFailed': 'Не удалось войти через Telegram.',
+    'app.firebaseInitFailed': 'Ошибка инициализации Firebase.',
+
+    'common.next': 'Далее',
+    'common.back': 'Назад',
+    'common.cancel': 'Отмена',
+    'common.done': 'Готово',
+    'common.home': 'На главную',
+    'common.ok': 'OK',
+    'common.amountPlaceholder': 'Например, 10.50',
+    'common.copied': 'Скопировано в буфер обмена.',
+    'common.copyFailed': 'Не удалось скопировать.',
+
+    'nav.home': 'Главная',
+    'nav.create': 'Создать',
+    'nav.activate': 'Активировать',
+    'nav.wallet': 'Кошелёк',
+
+    'home.balance': 'Ваш баланс',
+    'home.held': 'Заблокировано для вывода: {amount}',
+    'home.topUp': 'Пополнить баланс',
+    'home.withdraw': 'Вывести средства',
+    'home.createCheque': 'Создать чек',
+    'home.activateCheque': 'Активировать чек',
+    'home.terms': 'Лицензионное соглашение',
+    'home.incoming': 'Чеки для вас',
+    'home.myCheques': 'Мои чеки',
+    'home.admin': 'Админ-панель',
+
+    'create.title': 'Создание нового чека',
+    'create.amountPrompt': 'Отправьте сумму чека:',
+    'create.currencyOption': '{currency} (доступно {amount})',
+    'create.activationsPrompt': 'Количество активаций (сумма выше — на каждую):',
+    'create.amountSummary': 'Сумма чека: {amount}',
+    'create.reserveSummary': 'Активаций: {count}, будет зарезервировано {total}',
+    'create.anonymous': 'Анонимный чек',
+    'create.recipientPlaceholder': 'Получатель: @username или ID в Telegram (необязательно)',
+    'create.personalFor': 'Только для @{username}',
+    'create.passwordPlaceholder': 'Пароль (необязательно)',
+    'create.memoPlaceholder': 'Комментарий для получателя (необязательно)',
+    'create.customHoursPlaceholder': 'Срок действия в часах',
+    'create.submit': 'Создать чек',
+    'create.changeAmount': 'Изменить сумму',
+    'create.abort': 'Отменить создание',
+    'create.created': 'Чек на сумму {amount} успешно создан!',
+    'create.createdMulti': {
+        one: 'Чек на {count} активацию по {amount} успешно создан!',
+        few: 'Чек на {count} активации по {amount} успешно создан!',
+        many: 'Чек на {count} активаций по {amount} успешно создан!',
+        other: 'Чек на {count} активации по {amount} успешно создан!',
+    },
+    'create.id': 'ID: {id}',
+    'create.telegramLink': 'Ссылка в Telegram',
+    'create.webLink': 'Веб-ссылка',
+    'create.showQr': 'Показать QR-код',
+    'create.failed': 'Ошибка при создании чека.',
+
+    'lifetime.none': 'Без срока действия',
+    'lifetime.hour': '1 час',
+    'lifetime.day': '1 день',
+    'lifetime.week': '7 дней',
+    'lifetime.custom': 'Своё значение (в часах)',
+
+    'activate.title': 'Активировать чек',
+    'activate.anonymousCheque': 'Анонимный чек',
+    'activate.from': 'от {name} (@{username})',
+    'activate.passwordProtected': 'Чек защищён паролем',
+    'activate.personalFor': 'Персональный чек для @{username}',
+    'activate.memo': 'Комментарий: «{memo}»',
+    'activate.idPrompt': 'Введите ID чека:',
+    'activate.idPlaceholder': 'Введите ID чека',
+    'activate.scan': 'Сканировать QR-код',
+    'activate.passwordPlaceholder': 'Пароль (если задан)',
+    'activate.submit': 'Активировать',
+    'activate.successAnonymous': '💰 Вы активировали анонимный чек на сумму {amount}.',
+    'activate.success': '💰 Вы активировали чек от {name} (@{username}) на сумму {amount}.',
+    'activate.failed': 'Ошибка при активации чека.',
+
+    'cheques.title': 'Мои чеки',
+    'cheques.tab.active': 'Активные ({count})',
+    'cheques.tab.activated': 'Использованные ({count})',
+    'cheques.tab.cancelled': 'Отменённые ({count})',
+    'cheques.tab.expired': 'Истёкшие ({count})',
+    'cheques.status.active': 'Активен',
+    'cheques.status.activated': 'Использован',
+    'cheques.status.cancelled': 'Отменён',
+    'cheques.status.expired': 'Истёк',
+    'cheques.searchPlaceholder': 'Поиск по ID чека',
+    'cheques.sortLabel': 'Сортировка',
+    'cheques.sort.newest': 'Сначала новые',
+    'cheques.sort.oldest': 'Сначала старые',
+    'cheques.sort.amountDesc': 'Сумма по убыванию',
+    'cheques.sort.amountAsc': 'Сумма по возрастанию',
+    'cheques.empty': 'Здесь пока нет чеков.',
+    'cheques.noMatches': 'Чеков с таким ID не найдено.',
+    'cheques.details': 'Чек {id}',
+    'cheques.timeline.title': 'История',
+    'cheques.timeline.created': 'Чек создан',
+    'cheques.timeline.activation': 'Активация',
+    'cheques.timeline.activationBy': 'Активировал {name}{username}',
+    'cheques.timeline.activated': 'Все активации использованы',
+    'cheques.timeline.cancelled': 'Чек удалён, остаток возвращён на баланс',
+    'cheques.timeline.cancelledBySupport': 'Чек отменён поддержкой, остаток возвращён на баланс',
+    'cheques.timeline.expired': 'Срок действия истёк, остаток возвращён на баланс',
+    'cheques.timelineFailed': 'Ошибка загрузки истории чека.',
+
+    'delete.expiresAt': 'до {date}',
+    'delete.personalFor': 'для @{username}',
+    'delete.activationsLeft': 'Осталось {left} из {total}',
+    'delete.confirmTitle': 'Подтверждение удаления',
+    'delete.confirmMessage': 'Вы действительно хотите удалить чек {id}? На баланс вернётся {amount}.',
+    'delete.success': 'Чек {id} был успешно удален. Сумма {amount} возвращена на баланс.',
+    'delete.failed': 'Ошибка при удалении чека.',
+
+    'qr.title': 'Чек {id}',
+    'qr.alt': 'QR-код чека {id}',
+    'qr.hint': 'Отсканируйте, чтобы активировать чек.',
+    'qr.failed': 'Не удалось создать QR-код.',
+    'qr.noChequeId': 'QR-код не содержит ID чека.',
+    'scanner.title': 'Сканировать QR-код',
+    'scanner.cameraUnavailable': 'Камера недоступна. Загрузите фото QR-кода.',
+    'scanner.upload': 'Загрузить изображение',
+    'scanner.notFound': 'QR-код на изображении не найден.',
+    'scanner.close': 'Закрыть',
+
+    'topUp.title': 'Пополнение баланса',
+    'topUp.amountPrompt': 'Введите сумму пополнения:',
+    'topUp.createInvoice': 'Создать счёт',
+    'topUp.invoiceFor': 'Счёт на {amount}',
+    'topUp.pending': 'Ожидаем оплату...',
+    'topUp.credited': 'Оплачено, средства зачислены.',
+    'topUp.expired': 'Срок оплаты истёк.',
+    'topUp.goToPayment': 'Перейти к оплате',
+    'topUp.payTestMode': 'Оплатить (тестовый режим)',
+    'topUp.invoiceFailed': 'Ошибка при создании счёта.',
+    'topUp.invoiceExpired': 'Срок оплаты счёта истёк.',
+    'topUp.success': 'Баланс пополнен на {amount}.',
+    'topUp.creditFailed': 'Ошибка зачисления платежа.',
+
+    'withdraw.title': 'Вывод средств',
+    'withdraw.available': 'Доступно: {amount}',
+    'withdraw.amountPlaceholder': 'Сумма вывода',
+    'withdraw.destinationPlaceholder': 'Адрес кошелька или токен карты',
+    'withdraw.submit': 'Создать заявку',
+    'withdraw.openRequests': 'Открытые заявки',
+    'withdraw.held': 'Заблокировано: {amount}',
+    'withdraw.noOpenRequests': 'Открытых заявок нет.',
+    'withdraw.success': 'Заявка на вывод {amount} создана.',
+    'withdraw.failed': 'Ошибка при создании заявки на вывод.',
+    'withdraw.status.pending': 'На рассмотрении',
+    'withdraw.status.approved': 'Одобрена',
+    'withdraw.status.rejected': 'Отклонена',
+    'withdraw.status.completed': 'Выполнена',
+
+    'wallet.title': 'История операций',
+    'wallet.allTypes': 'Все операции',
+    'wallet.empty': 'Операций не найдено.',
+    'wallet.balanceAfter': 'Баланс: {amount}',
+    'wallet.cheque': 'Чек {id}',
+    'wallet.loadFailed': 'Ошибка загрузки истории операций.',
+    'wallet.exportTitle': 'Экспорт',
+    'wallet.exportHint': 'Чеки и операции за выбранные выше даты (без дат — за всё время).',
+    'wallet.export.cheques': 'Чеки CSV',
+    'wallet.export.transactions': 'Операции CSV',
+    'wallet.export.json': 'JSON',
+    'wallet.exported': 'Файл экспорта загружен.',
+    'wallet.exportFailed': 'Ошибка экспорта данных.',
+    'ledger.cheque_create': 'Создание чека',
+    'ledger.cheque_activate': 'Активация чека',
+    'ledger.cheque_refund': 'Возврат за чек',
+    'ledger.cheque_expired': 'Возврат за истёкший чек',
+    'ledger.top_up': 'Пополнение баланса',
+    'ledger.withdrawal_hold': 'Заявка на вывод',
+    'ledger.withdrawal_refund': 'Возврат отклонённого вывода',
+    'ledger.admin_adjustment': 'Корректировка поддержкой',
+
+    'notifications.title': 'Уведомления',
+    'notifications.empty': 'Уведомлений пока нет.',
+    'notifications.chequeActivated': '💰 {name}{username} активировал ваш чек {id} на сумму {amount}.',
+    'notifications.chequeActivatedAnonymous': '💰 Ваш чек {id} на сумму {amount} активирован.',
+
+    'profile.title': 'Профиль',
+    'profile.displayName': 'Отображаемое имя',
+    'profile.save': 'Сохранить',
+    'profile.username': 'Имя пользователя: @{username}',
+    'profile.joinDate': 'С нами с {date}',
+    'profile.stats': 'Статистика',
+    'profile.chequesCreated': 'Создано чеков',
+    'profile.chequesActivated': 'Активировано чеков',
+    'profile.sent': 'Отправлено',
+    'profile.received': 'Получено',
+    'profile.activeCheques': 'Активных чеков',
+    'profile.outstanding': 'Зарезервировано в чеках',
+    'profile.statsFailed': 'Ошибка загрузки статистики.',
+    'profile.invalidName': 'Имя должно быть от 1 до {max} символов.',
+    'profile.nameSaved': 'Имя сохранено.',
+    'profile.nameSaveFailed': 'Ошибка при сохранении имени.',
+
+    'terms.title': 'Лицензионное соглашение',
+    'terms.version': 'Редакция {version} от {date}',
+    'terms.accept': 'Принимаю',
+    'terms.accepted': 'Соглашение принято.',
+    'terms.acceptedAt': 'Вы приняли соглашение {date}.',
+    'terms.acceptFailed': 'Не удалось сохранить согласие.',
+    'terms.required': 'Чтобы создавать и активировать чеки, примите лицензионное соглашение.',
+
+    'admin.title': 'Админ-панель',
+    'admin.searchPlaceholder': 'ID чека, ID пользователя или @username',
+    'admin.search': 'Найти',
+    'admin.reasonPlaceholder': 'Причина (попадёт в журнал действий)',
+    'admin.reasonRequired': 'Для корректировки баланса укажите причину.',
+    'admin.users': 'Пользователи',
+    'admin.noUsers': 'Пользователи не найдены.',
+    'admin.cheques': 'Чеки',
+    'admin.noCheques': 'Чеки не найдены.',
+    'admin.owner': 'Владелец: {id}',
+    'admin.frozenSince': 'Заморожен с {date}',
+    'admin.freeze': 'Заморозить',
+    'admin.unfreeze': 'Разморозить',
+    'admin.frozen': 'Пользователь {user} заморожен.',
+    'admin.unfrozen': 'Пользователь {user} разморожен.',
+    'admin.cancelCheque': 'Отмена чека',
+    'admin.cancelConfirm': 'Отменить чек {id}? Владельцу вернётся {amount}.',
+    'admin.cancelled': 'Чек {id} отменён, владельцу возвращено {amount}.',
+    'admin.adjustBalance': 'Корректировка баланса',
+    'admin.credit': 'Начислить',
+    'admin.debit': 'Списать',
+    'admin.adjustConfirm': 'Изменить баланс {user} на {amount}? Причина: {reason}',
+    'admin.adjusted': 'Баланс {user} изменён на {amount}.',
+    'admin.failed': 'Действие не выполнено: {reason}',
+    'admin.auditLog': 'Журнал действий',
+    'admin.auditEmpty': 'Записей пока нет.',
+    'admin.auditLoadFailed': 'Ошибка загрузки журнала действий.',
+    'admin.auditFilterPlaceholder': 'ID пользователя (пусто — все)',
+    'admin.auditFilter': 'Фильтр',
+    'admin.auditMore': 'Показать более ранние записи',
+    'admin.by': '{admin}, {date}',
+    'admin.action.freeze_user': 'Заморозка пользователя',
+    'admin.action.unfreeze_user': 'Разморозка пользователя',
+    'admin.action.cancel_cheque': 'Отмена чека с возвратом',
+    'admin.action.adjust_balance': 'Корректировка баланса',
+    'admin.action.withdrawal_status': 'Статус заявки на вывод',
+
+    // ChequeError codes from functions/shared/chequeService.js
+    'errors.invalid_amount': 'Пожалуйста, введите корректную сумму.',
+    'errors.invalid_currency': 'Неизвестная валюта.',
+    'errors.invalid_activations': 'Пожалуйста, введите корректное количество активаций.',
+    'errors.invalid_lifetime': 'Пожалуйста, введите корректный срок действия.',
+    'errors.invalid_destination': 'Пожалуйста, укажите корректные реквизиты для вывода.',
+    'errors.missing_cheque_id': 'Пожалуйста, введите ID чека.',
+    'errors.insufficient_funds': 'Недостаточно средств на балансе.',
+    'errors.not_found': 'Данного чека не существует.',
+    'errors.inactive': 'Данный чек был активирован или удалён.',
+    'errors.expired': 'Срок действия чека истёк.',
+    'errors.own_cheque': 'Вы не можете активировать свой чек.',
+    'errors.already_activated': 'Вы уже активировали этот чек.',
+    'errors.locked': 'Чек заблокирован из-за превышения числа попыток ввода пароля.',
+    'errors.password_required': 'Этот чек защищён паролем. Введите пароль.',
+    'errors.wrong_password': {
+        one: 'Неверный пароль. Осталась {count} попытка.',
+        few: 'Неверный пароль. Осталось {count} попытки.',
+        many: 'Неверный пароль. Осталось {count} попыток.',
+        other: 'Неверный пароль. Осталось {count} попытки.',
+    },
+    'errors.wrong_password_locked': 'Неверный пароль. Чек заблокирован.',
+    'errors.not_owner': 'Это не ваш чек.',
+    'errors.invoice_not_found': 'Счёт не найден.',
+    'errors.terms_not_accepted': 'Примите актуальную версию лицензионного соглашения.',
+    'errors.too_many_attempts': 'Слишком много неудачных попыток активации. Попробуйте через {retryAfterMinutes} мин.',
+    'errors.invalid_recipient': 'Укажите получателя как @username или числовой ID в Telegram.',
+    'errors.recipient_not_found': 'Получатель не найден. Он должен хотя бы раз открыть приложение.',
+    'errors.own_recipient': 'Нельзя выписать чек самому себе.',
+    'errors.not_recipient': 'Этот чек предназначен другому пользователю.',
+    'errors.invalid_memo': 'Комментарий должен быть не длиннее {max} символов.',
+    'errors.account_frozen': 'Ваш аккаунт заморожен. Обратитесь в поддержку.',
+    'errors.user_not_found': 'Пользователь не найден.',
+    'errors.withdrawal_not_found': 'Заявка на вывод не найдена.',
+    'errors.invalid_withdrawal_status': 'Заявку нельзя перевести в этот статус.',
+};
@@ -0,0 +1,89 @@
+// Money handling. Amounts are stored and computed as integers in minor units
+// (cents for USD, 1/10000 for TON), never as JavaScript floats, so sums like
+// 0.1 + 0.2 stay exact. Every path that reads, writes or shows an amount goes through here.
+
+// Supported currencies with their decimal precision and display format
+export const CURRENCIES = {
+    USD: { decimals: 2, format: (value) => `$${value}` },
+    USDT: { decimals: 2, format: (value) => `${value} USDT` },
+    TON: { decimals: 4, format: (value) => `${value} TON` },
+};
+export const DEFAULT_CURRENCY = 'USD';
+
+const getCurrencyInfo = (currency) => CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+
+export const getDecimals = (currency) => getCurrencyInfo(currency).decimals;
+
+const assertSafe = (value) => {
+    if (!Number.isSafeInteger(value)) {
+        throw new RangeError(`Amount ${value} is not a safe integer number of minor units`);
+    }
+    return value;
+};
+
+// Parse user input like "10", "10.5" or "10,50" into minor units. Returns null for anything
+// that is not a plain positive decimal with at most the currency's number of decimals,
+// so "10.555", "1e3", "-5", "0" and "" are all rejected.
+export const parseAmount = (input, currency = DEFAULT_CURRENCY) => {
+    const decimals = getDecimals(currency);
+    const match = /^(\d+)(?:[.,](\d+))?$/.exec(String(input ?? '').trim());
+    if (!match) return null;
+
+    const [, whole, fraction = ''] = match;
+    if (fraction.length > decimals) return null;
+
+    const minor = Number(whole + fraction.padEnd(decimals, '0'));
+    if (!Number.isSafeInteger(minor) || minor <= 0) return null;
+    return minor;
+};
+
+// Digit grouping and decimal separator of a locale, applied to exact digit strings
+const localizeDigits = (whole, fraction, locale) => {
+    const formatter = new Intl.NumberFormat(locale);
+    const separator = formatter.formatToParts(1.5).find(part => part.type === 'decimal').value;
+    return formatter.format(BigInt(whole)) + (fraction ? separator + fraction : '');
+};
+
+// Sign, whole and fraction digits of an amount in minor units
+const splitDigits = (minor, decimals) => {
+    const digits = String(Math.abs(assertSafe(minor))).padStart(decimals + 1, '0');
+    return {
+        sign: minor < 0 ? '-' : '',
+        whole: digits.slice(0, digits.length - decimals),
+        fraction: digits.slice(digits.length - decimals),
+    };
+};
+
+// Format minor units for display in the currency's format, e.g. 1050 USD -> "$10.50", -5 USD -> "-$0.05".
+// With a locale the number follows its conventions, e.g. 123456 USD in 'ru' -> "$1 234,56".
+export const formatAmount = (minor, currency = DEFAULT_CURRENCY, locale = null) => {
+    const { decimals, format } = getCurrencyInfo(currency);
+    const { sign, whole, fraction } = splitDigits(minor, decimals);
+    if (locale) {
+        return sign + format(localizeDigits(whole, decimals > 0 ? fraction : '', locale));
+    }
+    return sign + format(decimals > 0 ? `${whole}.${fraction}` : whole);
+};
+
+// Plain decimal in major units for files and other programs, e.g. 1050 USD -> "10.50", -5 USD -> "-0.05"
+export const formatDecimal = (minor, currency = DEFAULT_CURRENCY) => {
+    const decimals = getDecimals(currency);
+    const { sign, whole, fraction } = splitDigits(minor, decimals);
+    return sign + (decimals > 0 ? `${whole}.${fraction}` : whole);
+};
+
+// Exact arithmetic on minor units; throws instead of silently losing precision
+export const addAmounts = (...amounts) => amounts.reduce((sum, amount) => assertSafe(sum + assertSafe(amount)), 0);
+
+export const multiplyAmount = (minor, count) => {
+    if (!Number.isInteger(count)) {
+        throw new RangeError(`Multiplier ${count} is not an integer`);
+    }
+    return assertSafe(assertSafe(minor) * count);
+};
+
+// Convert an amount stored as a float in major units (the format before minor units) to minor units
+export const fromLegacyFloat = (value, currency = DEFAULT_CURRENCY) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 0;
+    return assertSafe(Math.round(value * 10 ** getDecimals(currency)));
+};
@@ -0,0 +1,22 @@
+import { getCurrency } from './chequeService.js';
+
+// Wording of inbox notifications, with a translator from i18n.js. The app's inbox and toasts and
+// the Telegram messages sent by functions/notifications.js all take their text from here.
+
+// The notification in one line, or null for types that have no text
+export const notificationText = (t, notification) => {
+    if (notification.type !== 'cheque_activated') return null;
+    const amount = t.formatAmount(notification.amount, getCurrency(notification));
+    const activator = notification.activator;
+    if (!activator) {
+        return t('notifications.chequeActivatedAnonymous', { id: notification.cheque_id, amount });
+    }
+    const username = activator.username ? ` (@${activator.username})` : '';
+    return t('notifications.chequeActivated', { name: activator.name || t('app.defaultUserName'), username, id: notification.cheque_id, amount });
+};
+
+// The text with the cheque's memo on a second line, for messages that show everything at once
+export const notificationMessage = (t, notification) => {
+    const text = notificationText(t, notification);
+    return text && notification.memo ? `${text}\n${t('activate.memo', { memo: notification.memo })}` : text;
+};
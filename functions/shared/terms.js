@@ -0,0 +1,33 @@
+// Versioned terms of use. When the text changes, add a new document and bump
+// CURRENT_TERMS_VERSION: everyone who accepted an older version is asked to accept again
+// before creating or activating cheques (checked in chequeService.js).
+//
+// Documents are plain data, one paragraph list per locale, so the app renders them as text
+// instead of injecting HTML. `strong` paragraphs are shown in bold.
+
+export const TERMS_DOCUMENTS = {
+    1: {
+        effectiveDate: '2026-10-19',
+        paragraphs: {
+            ru: [
+                { text: 'Лицензионное соглашение веб-приложения «Bill Activator»', strong: true },
+                { text: 'Наш сервис не взимает комиссию за операции. Вы можете создавать неограниченное количество чеков на любые суммы.' },
+                { text: 'Важно: Данное веб-приложение не является официальным продуктом Telegram. Все операции осуществляются пользователями добровольно и под их личную ответственность.', strong: true },
+                { text: 'Продолжая использовать приложение, вы соглашаетесь с этими условиями.' },
+            ],
+            en: [
+                { text: 'License agreement of the «Bill Activator» web app', strong: true },
+                { text: 'The service charges no fees. You can create any number of cheques for any amount.' },
+                { text: 'Important: this web app is not an official Telegram product. All operations are made by users voluntarily and at their own risk.', strong: true },
+                { text: 'By continuing to use the app you agree to these terms.' },
+            ],
+        },
+    },
+};
+
+export const CURRENT_TERMS_VERSION = 1;
+
+export const getTermsDocument = (version = CURRENT_TERMS_VERSION) => TERMS_DOCUMENTS[version] || null;
+
+// Written to the profile by the acceptTerms function in functions/
+export const hasAcceptedTerms = (profile) => (profile?.terms_accepted_version ?? 0) >= CURRENT_TERMS_VERSION;
@@ -0,0 +1,38 @@
+import { pathToFileURL } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { publicChequesRef } from './refs.js';
+import { createAdminStorage } from './adminStorage.js';
+import { createChequeService } from './shared/chequeService.js';
+
+// Move cheques past their expiry to the 'expired' status and refund the unused activations to
+// their owners (chequeService.expire).
+// Each cheque is handled in its own transaction, so a cheque activated or deleted while
+// the sweep runs is skipped instead of being refunded twice.
+// Returns the number of cheques that were expired.
+export const sweepExpiredCheques = async (db, appId, now = new Date()) => {
+    const chequeService = createChequeService({ storage: createAdminStorage(db, appId), now: () => now });
+    const due = await publicChequesRef(db, appId)
+        .where('status', '==', 'active')
+        .where('expires_at', '<=', now.toISOString())
+        .get();
+
+    let count = 0;
+    for (const chequeDoc of due.docs) {
+        if (await chequeService.expire({ chequeId: chequeDoc.id })) count++;
+    }
+    return count;
+};
+
+// Allow running the sweep by hand, e.g. against the local emulator:
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 APP_ID=default-app-id node functions/sweepExpiredCheques.js
+// firebase-admin connects to the emulator on its own when FIRESTORE_EMULATOR_HOST is set.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const app = initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-bill-activator' });
+    sweepExpiredCheques(getFirestore(app), process.env.APP_ID || 'default-app-id')
+        .then((count) => console.log(`Expired ${count} cheque(s).`))
+        .catch((error) => {
+            console.error("Error sweeping expired cheques:", error);
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,50 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// initData older than this is rejected, so a leaked launch link can't be replayed forever
+const MAX_INIT_DATA_AGE_SECONDS = 24 * 60 * 60;
+
+// Validate Telegram Mini App initData as described in
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+// Returns { user, startParam } when the signature and age check out, otherwise null.
+export const validateInitData = (initData, botToken, { maxAgeSeconds = MAX_INIT_DATA_AGE_SECONDS, now = Date.now() } = {}) => {
+    if (!initData || !botToken) return null;
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) return null;
+    params.delete('hash');
+
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secretKey = createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expectedHash = createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+    if (expectedHash.length !== hash.length || !timingSafeEqual(Buffer.from(expectedHash), Buffer.from(hash))) {
+        return null;
+    }
+
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate || now / 1000 - authDate > maxAgeSeconds) return null;
+
+    let user = null;
+    try {
+        user = JSON.parse(params.get('user') || 'null');
+    } catch (error) {
+        return null;
+    }
+    if (!user?.id) return null;
+
+    return { user, startParam: params.get('start_param') };
+};
+
+// Custom token claims the client reads to fill in the profile
+export const telegramClaims = (user) => ({
+    telegram_id: user.id,
+    first_name: user.first_name || 'Пользователь',
+    username: user.username || null,
+    language_code: user.language_code || null,
+});
+
+// Firebase uid for a Telegram user; stable across devices and sessions
+export const telegramUid = (user) => `tg-${user.id}`;
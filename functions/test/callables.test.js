@@ -0,0 +1,146 @@
+import functionsTest from 'firebase-functions-test';
+import { APP_ID, db, clearFirestore, seedProfile, readProfile, readPublicCheque, readOwnerCheque, readLedger, newKey } from './emulator.js';
+import { chequeSecretRef, profileDocRef, userDocRef } from '../refs.js';
+
+// The money callables end to end: request -> idempotency record -> cheque service -> Firestore emulator
+
+const testEnv = functionsTest({ projectId: process.env.GCLOUD_PROJECT });
+// Loaded after functionsTest() so firebase-functions picks up the test config
+const { createCheque, activateCheque, cancelCheque, confirmTopUp } = await import('../index.js');
+
+const call = (fn, uid, data) => testEnv.wrap(fn)({ data, auth: uid ? { uid, token: {} } : undefined });
+
+const createFor = (uid, cheque, idempotencyKey = newKey()) => call(createCheque, uid, { amount: 1000, currency: 'USD', activations: 1, ...cheque, idempotencyKey });
+
+beforeEach(async () => {
+    await clearFirestore();
+    await seedProfile('owner', { balances: { USD: 5000 } });
+    await seedProfile('friend', { balances: { USD: 0 } });
+});
+
+afterAll(() => testEnv.cleanup());
+
+describe('createCheque', () => {
+    test('reserves amount × activations and publishes the cheque', async () => {
+        const cheque = await createFor('owner', { amount: 1500, activations: 2 });
+
+        expect(cheque.total_amount).toBe(3000);
+        expect((await readProfile('owner')).balances.USD).toBe(2000);
+        expect(await readPublicCheque(cheque.id)).toMatchObject({ short_id: cheque.short_id, status: 'active', activations_left: 2, owner_first_name: 'owner' });
+        expect(await readOwnerCheque('owner', cheque.id)).toMatchObject({ status: 'active', amount: 1500 });
+        expect(await readLedger('owner')).toEqual([expect.objectContaining({ type: 'cheque_create', amount: -3000, balance_after: 2000 })]);
+    });
+
+    test('rejects a cheque the balance cannot cover', async () => {
+        await expect(createFor('owner', { amount: 6000 })).rejects.toMatchObject({ code: 'failed-precondition', details: { code: 'insufficient_funds' } });
+        expect((await readProfile('owner')).balances.USD).toBe(5000);
+    });
+
+    test('runs once per idempotency key', async () => {
+        const idempotencyKey = newKey();
+        const first = await createFor('owner', {}, idempotencyKey);
+        const retry = await createFor('owner', {}, idempotencyKey);
+
+        expect(retry).toEqual(first);
+        expect((await readProfile('owner')).balances.USD).toBe(4000);
+    });
+
+    test('replays a business error for a retried key', async () => {
+        const idempotencyKey = newKey();
+        await expect(createFor('owner', { amount: 6000 }, idempotencyKey)).rejects.toMatchObject({ details: { code: 'insufficient_funds' } });
+        await profileDocRef(db(), APP_ID, 'owner').update({ 'balances.USD': 10000 });
+        await expect(createFor('owner', { amount: 6000 }, idempotencyKey)).rejects.toMatchObject({ details: { code: 'insufficient_funds' } });
+    });
+
+    test('requires sign-in and an idempotency key', async () => {
+        await expect(call(createCheque, null, { amount: 1000, idempotencyKey: newKey() })).rejects.toMatchObject({ code: 'unauthenticated' });
+        await expect(call(createCheque, 'owner', { amount: 1000 })).rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+});
+
+describe('activateCheque', () => {
+    test('credits the activator once and notifies the owner', async () => {
+        const cheque = await createFor('owner', { amount: 700, activations: 2 });
+
+        const activated = await call(activateCheque, 'friend', { shortId: cheque.short_id, idempotencyKey: newKey() });
+        expect(activated).toMatchObject({ short_id: cheque.short_id, amount: 700, currency: 'USD' });
+        expect((await readProfile('friend')).balances.USD).toBe(700);
+        expect(await readPublicCheque(cheque.id)).toMatchObject({ status: 'active', activations_left: 1 });
+
+        await expect(call(activateCheque, 'friend', { shortId: cheque.short_id, idempotencyKey: newKey() }))
+            .rejects.toMatchObject({ details: { code: 'already_activated' } });
+        expect((await readProfile('friend')).balances.USD).toBe(700);
+
+        const notifications = await userDocRef(db(), APP_ID, 'owner').collection('notifications').get();
+        expect(notifications.docs.map(docSnap => docSnap.data())).toEqual([expect.objectContaining({ type: 'cheque_activated', cheque_id: cheque.short_id })]);
+    });
+
+    test('checks a password kept out of the public cheque', async () => {
+        const cheque = await createFor('owner', { password: 'secret' });
+
+        const publicCopy = await readPublicCheque(cheque.id);
+        expect(publicCopy.has_password).toBe(true);
+        expect(publicCopy).not.toHaveProperty('password_hash');
+        await expect(call(activateCheque, 'friend', { shortId: cheque.short_id, password: 'guess', idempotencyKey: newKey() }))
+            .rejects.toMatchObject({ details: { code: 'wrong_password' } });
+        expect((await chequeSecretRef(db(), APP_ID, cheque.id).get()).data()).toMatchObject({ failed_attempts: 1 });
+
+        await call(activateCheque, 'friend', { shortId: cheque.short_id, password: 'secret', idempotencyKey: newKey() });
+        expect((await readProfile('friend')).balances.USD).toBe(1000);
+    });
+
+    test('does not let the owner activate their own cheque', async () => {
+        const cheque = await createFor('owner', {});
+        await expect(call(activateCheque, 'owner', { shortId: cheque.short_id, idempotencyKey: newKey() }))
+            .rejects.toMatchObject({ details: { code: 'own_cheque' } });
+    });
+
+    test('marks the cheque activated when the last activation is used', async () => {
+        const cheque = await createFor('owner', {});
+        await call(activateCheque, 'friend', { shortId: cheque.short_id, idempotencyKey: newKey() });
+
+        expect(await readOwnerCheque('owner', cheque.id)).toMatchObject({ status: 'activated', activations_left: 0 });
+        await seedProfile('third');
+        await expect(call(activateCheque, 'third', { shortId: cheque.short_id, idempotencyKey: newKey() }))
+            .rejects.toMatchObject({ details: { code: 'inactive' } });
+    });
+});
+
+describe('cancelCheque', () => {
+    test('refunds the activations nobody used', async () => {
+        const cheque = await createFor('owner', { amount: 1000, activations: 3 });
+        await call(activateCheque, 'friend', { shortId: cheque.short_id, idempotencyKey: newKey() });
+
+        expect(await call(cancelCheque, 'owner', { chequeId: cheque.id, idempotencyKey: newKey() })).toEqual({ refund: 2000, currency: 'USD' });
+        expect((await readProfile('owner')).balances.USD).toBe(4000);
+        expect(await readPublicCheque(cheque.id)).toMatchObject({ status: 'cancelled', cancelled_by: 'owner' });
+    });
+
+    test('only lets the owner cancel', async () => {
+        const cheque = await createFor('owner', {});
+        await expect(call(cancelCheque, 'friend', { chequeId: cheque.id, idempotencyKey: newKey() }))
+            .rejects.toMatchObject({ code: 'permission-denied', details: { code: 'not_owner' } });
+    });
+});
+
+describe('confirmTopUp', () => {
+    const seedInvoice = () => userDocRef(db(), APP_ID, 'friend').collection('invoices').doc('inv_1').set({
+        provider: 'mock', amount: 2500, currency: 'USD', status: 'pending', created_at: new Date().toISOString(),
+    });
+    const enableMockPayments = () => db().doc(`artifacts/${APP_ID}/public/config`).set({ mock_payments: true });
+
+    test('credits a paid invoice exactly once', async () => {
+        await enableMockPayments();
+        await seedInvoice();
+
+        expect(await call(confirmTopUp, 'friend', { invoiceId: 'inv_1', idempotencyKey: newKey() })).toEqual({ credited: true });
+        expect(await call(confirmTopUp, 'friend', { invoiceId: 'inv_1', idempotencyKey: newKey() })).toEqual({ credited: false });
+        expect((await readProfile('friend')).balances.USD).toBe(2500);
+    });
+
+    test('trusts mock invoices only when mock payments are enabled', async () => {
+        await seedInvoice();
+        await expect(call(confirmTopUp, 'friend', { invoiceId: 'inv_1', idempotencyKey: newKey() })).rejects.toMatchObject({ code: 'failed-precondition' });
+        expect((await readProfile('friend')).balances.USD).toBe(0);
+    });
+});
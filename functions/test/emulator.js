@@ -0,0 +1,51 @@
+import { randomUUID } from 'node:crypto';
+import { getApps, initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { profileDocRef, publicChequesRef, userDocRef } from '../refs.js';
+import { CURRENT_TERMS_VERSION } from '../shared/terms.js';
+
+// Shared setup for the suites in this directory. They run against the Firestore emulator only:
+// `npm test` starts it with the Firebase CLI (firebase emulators:exec), which also sets
+// FIRESTORE_EMULATOR_HOST and GCLOUD_PROJECT so firebase-admin talks to it.
+
+export const APP_ID = process.env.APP_ID || 'default-app-id';
+
+// The default app, which index.js initializes when a suite loads it
+export const db = () => getFirestore(getApps()[0] || initializeApp({ projectId: process.env.GCLOUD_PROJECT }));
+
+// Drop every document, so each test starts from an empty database
+export const clearFirestore = async () => {
+    const host = process.env.FIRESTORE_EMULATOR_HOST;
+    if (!host) {
+        throw new Error('FIRESTORE_EMULATOR_HOST is not set; run these tests with npm test');
+    }
+    const response = await fetch(`http://${host}/emulator/v1/projects/${process.env.GCLOUD_PROJECT}/databases/(default)/documents`, { method: 'DELETE' });
+    if (!response.ok) {
+        throw new Error(`Clearing the Firestore emulator failed with status ${response.status}`);
+    }
+};
+
+// A signed-up user who accepted the current terms; balances in minor units
+export const seedProfile = (uid, { balances = {}, ...profile } = {}) => profileDocRef(db(), APP_ID, uid).set({
+    telegram_id: null,
+    first_name: uid,
+    username: uid,
+    balances,
+    terms_accepted_version: CURRENT_TERMS_VERSION,
+    join_date: new Date().toISOString(),
+    ...profile,
+});
+
+export const readProfile = async (uid) => (await profileDocRef(db(), APP_ID, uid).get()).data();
+
+export const readPublicCheque = async (chequeId) => (await publicChequesRef(db(), APP_ID).doc(chequeId).get()).data();
+
+export const readOwnerCheque = async (uid, chequeId) => (await userDocRef(db(), APP_ID, uid).collection('cheques').doc(chequeId).get()).data();
+
+export const readLedger = async (uid) => {
+    const snapshot = await userDocRef(db(), APP_ID, uid).collection('transactions').orderBy('created_at').get();
+    return snapshot.docs.map(docSnap => docSnap.data());
+};
+
+// A fresh idempotency key, as the app makes one per user action
+export const newKey = () => randomUUID().replace(/-/g, '');
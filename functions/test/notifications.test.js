@@ -0,0 +1,53 @@
+import { notificationText, deliverNotification, createMockSender } from '../notifications.js';
+import { APP_ID, db, clearFirestore, seedProfile } from './emulator.js';
+
+// Telegram messages for inbox notifications, in the recipient's language
+
+const activated = {
+    type: 'cheque_activated',
+    cheque_id: 'ABCDEFGH2345',
+    amount: 1050,
+    currency: 'USD',
+    activator: { id: 'friend', name: 'Friend', username: 'friend' },
+    memo: null,
+};
+
+describe('notificationText', () => {
+    test('follows the language code, with Russian for unknown ones', () => {
+        expect(notificationText(activated, 'en')).toMatch(/^💰 Friend \(@friend\) activated your cheque ABCDEFGH2345 for .*10\.50/);
+        expect(notificationText(activated, 'en-GB')).toMatch(/activated your cheque/);
+        expect(notificationText(activated, 'ru')).toMatch(/^💰 Friend \(@friend\) активировал ваш чек ABCDEFGH2345/);
+        expect(notificationText(activated, 'de')).toBe(notificationText(activated, 'ru'));
+        expect(notificationText(activated)).toBe(notificationText(activated, 'ru'));
+    });
+
+    test('keeps anonymous activators anonymous and adds the memo', () => {
+        const text = notificationText({ ...activated, activator: null, memo: 'Lunch' }, 'en');
+        expect(text).toMatch(/^💰 Your cheque ABCDEFGH2345 for .* was activated\.\nNote: “Lunch”$/);
+    });
+
+    test('has nothing to say about other notification types', () => {
+        expect(notificationText({ type: 'something_else' }, 'en')).toBeNull();
+    });
+});
+
+// Needs the Firestore emulator, like the other suites here
+describe('deliverNotification', () => {
+    beforeEach(() => clearFirestore());
+
+    test("sends to the user's Telegram chat in their language", async () => {
+        await seedProfile('owner', { telegram_id: 42, language_code: 'en' });
+        const sender = createMockSender();
+
+        expect(await deliverNotification(db(), APP_ID, 'owner', activated, sender)).toBe(true);
+        expect(sender.sent).toEqual([{ chatId: 42, text: notificationText(activated, 'en') }]);
+    });
+
+    test('skips users who did not sign in through Telegram', async () => {
+        await seedProfile('owner');
+        const sender = createMockSender();
+
+        expect(await deliverNotification(db(), APP_ID, 'owner', activated, sender)).toBe(false);
+        expect(sender.sent).toEqual([]);
+    });
+});
@@ -0,0 +1,66 @@
+import { sweepExpiredCheques } from '../sweepExpiredCheques.js';
+import { createAdminStorage } from '../adminStorage.js';
+import { createChequeService } from '../shared/chequeService.js';
+import { APP_ID, db, clearFirestore, seedProfile, readProfile, readPublicCheque, readOwnerCheque, readLedger } from './emulator.js';
+
+// The expiry sweep against the Firestore emulator, with cheques made by the cheque service
+
+const CREATED_AT = new Date('2026-10-19T12:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+const at = (hours) => new Date(CREATED_AT.getTime() + hours * HOUR);
+
+let clock;
+let service;
+
+const create = (fields) => service.create({ userId: 'owner', owner: { firstName: 'Owner', username: 'owner' }, amount: 1000, currency: 'USD', ...fields });
+
+beforeEach(async () => {
+    await clearFirestore();
+    await seedProfile('owner', { balances: { USD: 10000 } });
+    await seedProfile('friend');
+    clock = CREATED_AT;
+    service = createChequeService({ storage: createAdminStorage(db(), APP_ID), now: () => clock });
+});
+
+test('expires due cheques and refunds only the unused activations', async () => {
+    const partly = await create({ activations: 3, lifetimeHours: 1 });
+    const untouched = await create({ activations: 1, lifetimeHours: 1 });
+    await service.activate({ userId: 'friend', shortId: partly.short_id });
+
+    expect(await sweepExpiredCheques(db(), APP_ID, at(2))).toBe(2);
+
+    // 10000 - 3000 - 1000 reserved, 2000 + 1000 refunded
+    expect((await readProfile('owner')).balances.USD).toBe(9000);
+    expect(await readPublicCheque(partly.id)).toMatchObject({ status: 'expired', activations_left: 0, expired_at: at(2).toISOString() });
+    expect(await readOwnerCheque('owner', untouched.id)).toMatchObject({ status: 'expired', activations_left: 0 });
+    expect((await readLedger('owner')).filter(entry => entry.type === 'cheque_expired').map(entry => entry.amount).sort()).toEqual([1000, 2000]);
+});
+
+test('leaves cheques that are not due, have no lifetime or are no longer active', async () => {
+    const later = await create({ lifetimeHours: 24 });
+    const forever = await create({});
+    const cancelled = await create({ lifetimeHours: 1 });
+    await service.cancel({ userId: 'owner', chequeId: cancelled.id });
+
+    expect(await sweepExpiredCheques(db(), APP_ID, at(2))).toBe(0);
+    expect(await readPublicCheque(later.id)).toMatchObject({ status: 'active' });
+    expect(await readPublicCheque(forever.id)).toMatchObject({ status: 'active' });
+    expect(await readPublicCheque(cancelled.id)).toMatchObject({ status: 'cancelled' });
+    expect((await readProfile('owner')).balances.USD).toBe(8000);
+});
+
+test('refunds each cheque only once when the sweep runs again', async () => {
+    await create({ lifetimeHours: 1 });
+
+    expect(await sweepExpiredCheques(db(), APP_ID, at(2))).toBe(1);
+    expect(await sweepExpiredCheques(db(), APP_ID, at(3))).toBe(0);
+    expect((await readProfile('owner')).balances.USD).toBe(10000);
+});
+
+test('expired cheques can no longer be activated', async () => {
+    const cheque = await create({ lifetimeHours: 1 });
+    clock = at(2);
+    await sweepExpiredCheques(db(), APP_ID, clock);
+
+    await expect(service.activate({ userId: 'friend', shortId: cheque.short_id })).rejects.toMatchObject({ code: 'inactive' });
+});
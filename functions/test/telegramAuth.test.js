@@ -0,0 +1,57 @@
+import { validateInitData } from '../telegramAuth.js';
+import { signInitData, createTelegramWebAppMock } from '../../telegramMock.js';
+
+// The initData check behind authTelegram, on data signed the way Telegram signs it (telegramMock.js).
+// Needs no emulator.
+
+const BOT_TOKEN = 'test-bot-token';
+const user = { id: 100000001, first_name: 'Test', username: 'test_user', language_code: 'en' };
+const authDate = Math.floor(Date.now() / 1000);
+
+describe('validateInitData', () => {
+    test('accepts data signed with the bot token', async () => {
+        const { initData } = await createTelegramWebAppMock({ user, botToken: BOT_TOKEN });
+
+        expect(validateInitData(initData, BOT_TOKEN)).toEqual({ user, startParam: null });
+    });
+
+    test('passes the start parameter through', async () => {
+        const { initData } = await createTelegramWebAppMock({ user, botToken: BOT_TOKEN, startParam: 'ABCDEFGH2345' });
+
+        expect(validateInitData(initData, BOT_TOKEN)).toMatchObject({ startParam: 'ABCDEFGH2345' });
+    });
+
+    test('rejects data with a changed field', async () => {
+        const params = new URLSearchParams(await signInitData({ user, auth_date: authDate }, BOT_TOKEN));
+        params.set('user', JSON.stringify({ ...user, id: 100000002 }));
+
+        expect(validateInitData(params.toString(), BOT_TOKEN)).toBeNull();
+    });
+
+    test('rejects data signed with another bot token', async () => {
+        const { initData } = await createTelegramWebAppMock({ user, botToken: 'other-bot-token' });
+
+        expect(validateInitData(initData, BOT_TOKEN)).toBeNull();
+    });
+
+    test('rejects data without a hash, and a missing bot token', async () => {
+        const { initData } = await createTelegramWebAppMock({ user, botToken: BOT_TOKEN });
+        const params = new URLSearchParams(initData);
+        params.delete('hash');
+
+        expect(validateInitData(params.toString(), BOT_TOKEN)).toBeNull();
+        expect(validateInitData(initData, '')).toBeNull();
+    });
+
+    test('rejects stale data', async () => {
+        const { initData } = await createTelegramWebAppMock({ user, botToken: BOT_TOKEN, authDate: authDate - 2 * 24 * 60 * 60 });
+
+        expect(validateInitData(initData, BOT_TOKEN)).toBeNull();
+        expect(validateInitData(initData, BOT_TOKEN, { maxAgeSeconds: 3 * 24 * 60 * 60 })).toMatchObject({ user });
+    });
+
+    test('rejects signed data without a user', async () => {
+        expect(validateInitData(await signInitData({ auth_date: authDate }, BOT_TOKEN), BOT_TOKEN)).toBeNull();
+        expect(validateInitData(await signInitData({ user: { first_name: 'No id' }, auth_date: authDate }, BOT_TOKEN), BOT_TOKEN)).toBeNull();
+    });
+});
@@ -0,0 +1,120 @@
+// Cheque service storage kept in memory (see the interface in functions/shared/chequeService.js).
+// For running the cheque rules without Firestore, e.g. in tests or local demos.
+// Transactions run one at a time and their writes are applied only if the callback succeeds.
+
+const clone = (value) => (value == null ? null : structuredClone(value));
+
+export const createMemoryStorage = ({ profiles = {} } = {}) => {
+    const state = {
+        profiles: new Map(Object.entries(profiles)), // uid -> profile
+        ownerCheques: new Map(), // chequeId -> owner's copy
+        publicCheques: new Map(), // chequeId -> public copy
+        activations: new Map(), // `${chequeId}/${uid}` -> activation
+        secrets: new Map(), // chequeId -> password secret
+        invoices: new Map(), // `${uid}/${invoiceId}` -> invoice
+        withdrawals: new Map(), // uid -> withdrawals
+        ledger: new Map(), // uid -> ledger entries
+        notifications: new Map(), // uid -> notifications
+        auditLog: [],
+    };
+    let queue = Promise.resolve();
+    let nextId = 1;
+
+    const pushTo = (map, key, value) => map.set(key, [...(map.get(key) || []), value]);
+    const updateProfile = (uid, update) => state.profiles.set(uid, update(state.profiles.get(uid) || {}));
+    const incrementIn = (profile, field, currency, delta) => ({
+        ...profile,
+        [field]: { ...profile[field], [currency]: (profile[field]?.[currency] || 0) + delta },
+    });
+
+    const runTransaction = (fn) => {
+        const run = queue.then(async () => {
+            const writes = [];
+            const result = await fn({
+                getProfile: async (uid) => clone(state.profiles.get(uid)),
+                getCheque: async (chequeId) => {
+                    const cheque = state.publicCheques.get(chequeId);
+                    return cheque ? { id: chequeId, ...clone(cheque) } : null;
+                },
+                getActivation: async (chequeId, uid) => clone(state.activations.get(`${chequeId}/${uid}`)),
+                getChequeSecret: async (chequeId) => clone(state.secrets.get(chequeId)),
+                getInvoice: async (uid, invoiceId) => clone(state.invoices.get(`${uid}/${invoiceId}`)),
+                getWithdrawal: async (uid, withdrawalId) => {
+                    const withdrawal = (state.withdrawals.get(uid) || []).find(item => item.id === withdrawalId);
+                    return withdrawal ? clone(withdrawal) : null;
+                },
+
+                incrementBalance: (uid, currency, delta) => writes.push(() => updateProfile(uid, profile => incrementIn(profile, 'balances', currency, delta))),
+                setLegacyBalances: (uid, balances) => writes.push(() => updateProfile(uid, ({ balance, ...profile }) => ({ ...profile, balances }))),
+                incrementHeld: (uid, currency, delta) => writes.push(() => updateProfile(uid, profile => incrementIn(profile, 'pending_withdrawals', currency, delta))),
+                addLedgerEntry: (uid, entry) => writes.push(() => pushTo(state.ledger, uid, { id: String(nextId++), ...clone(entry) })),
+                createCheque: (chequeId, ownerCopy, publicCopy, secret = null) => writes.push(() => {
+                    state.ownerCheques.set(chequeId, clone(ownerCopy));
+                    state.publicCheques.set(chequeId, clone(publicCopy));
+                    if (secret) state.secrets.set(chequeId, clone(secret));
+                }),
+                updateCheque: (chequeId, ownerId, fields) => writes.push(() => {
+                    state.ownerCheques.set(chequeId, { ...state.ownerCheques.get(chequeId), ...clone(fields) });
+                    state.publicCheques.set(chequeId, { ...state.publicCheques.get(chequeId), ...clone(fields) });
+                }),
+                addActivation: (chequeId, uid, activation) => writes.push(() => state.activations.set(`${chequeId}/${uid}`, clone(activation))),
+                updateInvoice: (uid, invoiceId, fields) => writes.push(() => {
+                    const key = `${uid}/${invoiceId}`;
+                    state.invoices.set(key, { ...state.invoices.get(key), ...clone(fields) });
+                }),
+                addWithdrawal: (uid, withdrawalId, withdrawal) => writes.push(() => pushTo(state.withdrawals, uid, { id: withdrawalId, ...clone(withdrawal) })),
+                updateWithdrawal: (uid, withdrawalId, fields) => writes.push(() => state.withdrawals.set(uid, state.withdrawals.get(uid)
+                    .map(item => (item.id === withdrawalId ? { ...item, ...clone(fields) } : item)))),
+                addNotification: (uid, notification) => writes.push(() => pushTo(state.notifications, uid, { id: String(nextId++), ...clone(notification) })),
+                incrementFailedAttempts: (chequeId) => writes.push(() => {
+                    const secret = state.secrets.get(chequeId);
+                    state.secrets.set(chequeId, { ...secret, failed_attempts: (secret.failed_attempts || 0) + 1 });
+                }),
+                setActivationThrottle: (uid, throttle) => writes.push(() => updateProfile(uid, profile => ({ ...profile, activation_throttle: clone(throttle) }))),
+                addAuditEntry: (entry) => writes.push(() => state.auditLog.push({ id: String(nextId++), ...clone(entry) })),
+            });
+            writes.forEach(write => write());
+            return result;
+        });
+        queue = run.catch(() => {}); // A failed transaction must not block the next one
+        return run;
+    };
+
+    return {
+        runTransaction,
+
+        getProfile: async (uid) => clone(state.profiles.get(uid)),
+
+        findChequesByShortId: async (shortId) => [...state.publicCheques]
+            .filter(([, cheque]) => cheque.short_id === shortId)
+            .map(([id, cheque]) => ({ id, ...clone(cheque) })),
+
+        getChequeSecret: async (chequeId) => clone(state.secrets.get(chequeId)),
+
+        listCheques: async (uid, { status = null } = {}) => [...state.ownerCheques]
+            .filter(([, cheque]) => cheque.owner_id === uid && (!status || cheque.status === status))
+            .map(([id, cheque]) => ({ id, ...clone(cheque) })),
+
+        listActivations: async (chequeId) => [...state.activations]
+            .filter(([key]) => key.startsWith(`${chequeId}/`))
+            .map(([, activation]) => clone(activation)),
+
+        findUsers: async (field, value) => [...state.profiles]
+            .filter(([, profile]) => profile[field] === value)
+            .map(([id, profile]) => ({ id, ...clone(profile) })),
+
+        listLedgerEntries: async (uid, { types }) => clone(state.ledger.get(uid) || [])
+            .filter(entry => types.includes(entry.type)),
+
+        createInvoice: async (uid, invoiceId, invoice) => {
+            state.invoices.set(`${uid}/${invoiceId}`, clone(invoice));
+        },
+
+        // Not part of the storage interface: lets tests and demos seed and inspect the data
+        setProfile: (uid, profile) => state.profiles.set(uid, clone(profile)),
+        getLedger: (uid) => clone(state.ledger.get(uid) || []),
+        getWithdrawals: (uid) => clone(state.withdrawals.get(uid) || []),
+        getNotifications: (uid) => clone(state.notifications.get(uid) || []),
+        getAuditLog: () => clone(state.auditLog),
+    };
+};
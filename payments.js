@@ -0,0 +1,67 @@
+// Top-up payment providers.
+//
+// A provider implements:
+//   name                                   - stored on each invoice record
+//   createInvoice({ userId, amount, currency }) -> Promise<{ id, amount, currency, payUrl }>
+//   getInvoiceStatus(invoiceId)            -> Promise<'pending' | 'paid' | 'expired'>
+//   subscribe(invoiceId, onStatus)         -> unsubscribe function; push-style confirmation, like a webhook
+//
+// The app polls getInvoiceStatus and listens through subscribe at the same time, so a
+// confirmation may arrive more than once. Crediting the balance is idempotent per invoice
+// id (see creditInvoice in functions/shared/chequeService.js), so duplicates are harmless.
+
+const INVOICE_LIFETIME_MS = 30 * 60 * 1000;
+
+// Invoice ids are random, so two invoices never share an id across sessions
+const generateInvoiceId = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(12));
+    return `inv_${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// A local provider with no real payment service behind it. Invoices live in memory and
+// are paid by calling pay(invoiceId), which the top-up page exposes as a test button.
+export const createMockPaymentProvider = ({ now = () => Date.now() } = {}) => {
+    const invoices = new Map();
+    const listeners = new Map();
+
+    const notify = (invoiceId, status) => {
+        (listeners.get(invoiceId) || []).forEach(listener => listener(status));
+    };
+
+    const statusOf = (invoice) => {
+        if (invoice.status === 'pending' && now() > invoice.expiresAt) {
+            invoice.status = 'expired';
+        }
+        return invoice.status;
+    };
+
+    return {
+        name: 'mock',
+        isTestMode: true,
+
+        createInvoice: async ({ userId, amount, currency }) => {
+            const id = generateInvoiceId();
+            invoices.set(id, { id, userId, amount, currency, status: 'pending', expiresAt: now() + INVOICE_LIFETIME_MS });
+            return { id, amount, currency, payUrl: null };
+        },
+
+        getInvoiceStatus: async (invoiceId) => {
+            const invoice = invoices.get(invoiceId);
+            return invoice ? statusOf(invoice) : 'expired';
+        },
+
+        subscribe: (invoiceId, onStatus) => {
+            listeners.set(invoiceId, [...(listeners.get(invoiceId) || []), onStatus]);
+            return () => listeners.set(invoiceId, (listeners.get(invoiceId) || []).filter(listener => listener !== onStatus));
+        },
+
+        // Simulate the user paying the invoice; delivers the confirmation to subscribers
+        pay: async (invoiceId) => {
+            const invoice = invoices.get(invoiceId);
+            if (!invoice || statusOf(invoice) !== 'pending') return false;
+            invoice.status = 'paid';
+            notify(invoiceId, 'paid');
+            return true;
+        },
+    };
+};
@@ -0,0 +1,50 @@
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+
+// QR helpers for handing cheques over in person. Encoding and decoding work on plain
+// data (strings and ImageData-like objects), so they can be exercised with fixture images
+// outside the browser; only the *From* helpers below need a DOM.
+
+// Render text (an activation link) as a PNG data URL
+export const encodeQr = (text) => QRCode.toDataURL(text, { errorCorrectionLevel: 'M', margin: 1, width: 256 });
+
+// Decode the first QR code in an ImageData-like { data, width, height }, or return null
+export const decodeQr = ({ data, width, height }) => {
+    const result = jsQR(data, width, height, { inversionAttempts: 'attemptBoth' });
+    return result ? result.data : null;
+};
+
+// Pull the cheque ID out of scanned text: a t.me ?startapp= link, a ?cheque= URL or a bare ID
+export const parseChequeId = (text) => {
+    const value = (text || '').trim();
+    if (!value) return null;
+    try {
+        const url = new URL(value);
+        return url.searchParams.get('startapp') || url.searchParams.get('cheque') || null;
+    } catch (error) {
+        // Not a URL, fall through to a bare ID
+    }
+    return /^[A-Za-z0-9_-]+$/.test(value) ? value : null;
+};
+
+// Read the pixels of an uploaded image file
+export const imageDataFromFile = async (file) => {
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// Grab the current frame of a playing <video> through a reusable canvas
+export const imageDataFromVideo = (video, canvas) => {
+    if (!video.videoWidth || !video.videoHeight) return null;
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+};
@@ -0,0 +1,56 @@
+import { httpsCallable } from 'firebase/functions';
+import { ChequeError } from './functions/shared/chequeService.js';
+
+// The cheque service as the app uses it: money methods and cheque previews run on the backend
+// (the callables in functions/index.js), the rest comes from the local service. Errors from the backend carry
+// the ChequeError code in their details and are turned back into ChequeErrors, so the app
+// shows the same messages either way.
+
+// Transport failures that are safe to retry, because the retry carries the same idempotency key
+const RETRYABLE_CODES = ['functions/unavailable', 'functions/deadline-exceeded', 'functions/aborted'];
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+const newIdempotencyKey = () => crypto.randomUUID().replace(/-/g, '');
+
+export const createRemoteChequeService = ({ functions, local }) => {
+    const call = (name) => {
+        const callable = httpsCallable(functions, name);
+        return async (data) => {
+            const idempotencyKey = newIdempotencyKey(); // One key per user action, shared by its retries
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const result = await callable({ ...data, idempotencyKey });
+                    return result.data;
+                } catch (error) {
+                    if (error.details?.code) {
+                        throw new ChequeError(error.details.code, error.details);
+                    }
+                    if (attempt >= MAX_ATTEMPTS || !RETRYABLE_CODES.includes(error.code)) {
+                        throw error;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+                }
+            }
+        };
+    };
+
+    const createCheque = call('createCheque');
+    const activateCheque = call('activateCheque');
+    const cancelCheque = call('cancelCheque');
+    const confirmTopUp = call('confirmTopUp');
+    const requestWithdrawal = call('requestWithdrawal');
+    const previewCheque = call('previewCheque'); // Read-only; the backend ignores the idempotency key
+
+    return {
+        ...local,
+
+        // The owner's name is taken from their profile on the backend
+        create: ({ owner, userId, ...cheque }) => createCheque(cheque),
+        activate: ({ shortId, password }) => activateCheque({ shortId, password }),
+        cancel: ({ chequeId }) => cancelCheque({ chequeId }),
+        creditInvoice: async ({ invoiceId }) => (await confirmTopUp({ invoiceId })).credited,
+        requestWithdrawal: ({ amount, currency, destination }) => requestWithdrawal({ amount, currency, destination }),
+        preview: ({ shortId }) => previewCheque({ shortId }),
+    };
+};
@@ -0,0 +1,81 @@
+// A stand-in for window.Telegram.WebApp, so the app can run outside Telegram in tests and local development.
+// The initData it produces is signed with the given bot token exactly like Telegram signs it, so the
+// backend's authTelegram function accepts it when it is configured with the same token.
+
+const encoder = new TextEncoder();
+
+const hmacSha256 = async (key, data) => {
+    const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        typeof key === 'string' ? encoder.encode(key) : key,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data)));
+};
+
+// Build an initData query string signed with botToken
+export const signInitData = async (fields, botToken) => {
+    const entries = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : String(value)]);
+    const dataCheckString = [...entries]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secretKey = await hmacSha256('WebAppData', botToken);
+    const hash = Array.from(await hmacSha256(secretKey, dataCheckString), b => b.toString(16).padStart(2, '0')).join('');
+    return new URLSearchParams([...entries, ['hash', hash]]).toString();
+};
+
+// A MainButton/BackButton look-alike that remembers its state and lets tests press it with click()
+const createButtonMock = (initialText = '') => {
+    const handlers = new Set();
+    const button = {
+        text: initialText,
+        isVisible: false,
+        isActive: true,
+        setText: (text) => { button.text = text; return button; },
+        show: () => { button.isVisible = true; return button; },
+        hide: () => { button.isVisible = false; return button; },
+        enable: () => { button.isActive = true; return button; },
+        disable: () => { button.isActive = false; return button; },
+        onClick: (handler) => { handlers.add(handler); return button; },
+        offClick: (handler) => { handlers.delete(handler); return button; },
+        click: () => {
+            if (button.isVisible && button.isActive) {
+                handlers.forEach(handler => handler());
+            }
+        },
+    };
+    return button;
+};
+
+// Create a Telegram.WebApp mock for the given user; startParam mirrors ?startapp= on a t.me link
+export const createTelegramWebAppMock = async ({
+    user = { id: 100000001, first_name: 'Test', username: 'test_user', language_code: 'ru' },
+    startParam,
+    botToken = 'test-bot-token',
+    authDate = Math.floor(Date.now() / 1000),
+} = {}) => {
+    const initDataUnsafe = { user, auth_date: authDate, start_param: startParam };
+    return {
+        initData: await signInitData(initDataUnsafe, botToken),
+        initDataUnsafe,
+        platform: 'unknown',
+        version: '7.0',
+        ready: () => {},
+        expand: () => {},
+        close: () => {},
+        MainButton: createButtonMock('CONTINUE'),
+        BackButton: createButtonMock(),
+    };
+};
+
+// Install the mock as window.Telegram.WebApp; call before the App module renders
+export const installTelegramMock = async (options) => {
+    const webApp = await createTelegramWebAppMock(options);
+    window.Telegram = { WebApp: webApp };
+    return webApp;
+};
@@ -0,0 +1,433 @@
+import { createChequeService, sanitizeMemo, ChequeError, MAX_PASSWORD_ATTEMPTS, MAX_MEMO_LENGTH, MAX_FAILED_ACTIVATIONS, ACTIVATION_FAILURE_WINDOW_MINUTES, ACTIVATION_LOCKOUT_MINUTES } from '../functions/shared/chequeService.js';
+import { CURRENT_TERMS_VERSION } from '../functions/shared/terms.js';
+import { createMemoryStorage } from '../memoryStorage.js';
+
+// Cheque rules on the in-memory storage; amounts are in minor units (1000 = $10.00)
+
+const profile = (balances, extra = {}) => ({ balances, terms_accepted_version: CURRENT_TERMS_VERSION, ...extra });
+
+let storage;
+let service;
+let clock;
+
+beforeEach(() => {
+    storage = createMemoryStorage({
+        profiles: {
+            owner: profile({ USD: 5000 }, { first_name: 'Owner', username: 'owner' }),
+            friend: profile({ USD: 0 }, { first_name: 'Friend', username: 'friend' }),
+            stranger: profile({}, { first_name: 'Stranger', username: 'stranger' }),
+        },
+    });
+    clock = new Date('2026-10-19T12:00:00.000Z');
+    service = createChequeService({ storage, now: () => clock });
+});
+
+const owner = { firstName: 'Owner', username: 'owner' };
+const create = (fields = {}) => service.create({ userId: 'owner', owner, amount: 1000, ...fields });
+const balance = async (userId, currency = 'USD') => service.getBalance({ userId, currency });
+
+// The ChequeError code a call fails with
+const failure = async (promise) => {
+    try {
+        await promise;
+    } catch (error) {
+        if (error instanceof ChequeError) return error.code;
+        throw error;
+    }
+    throw new Error('Expected a ChequeError');
+};
+
+describe('create', () => {
+    test('reserves amount × activations from the owner', async () => {
+        const cheque = await create({ amount: 1500, activations: 3 });
+
+        expect(cheque).toMatchObject({ amount: 1500, activations_total: 3, activations_left: 3, status: 'active', total_amount: 4500 });
+        expect(await balance('owner')).toBe(500);
+        expect(storage.getLedger('owner')).toEqual([expect.objectContaining({ type: 'cheque_create', amount: -4500, balance_after: 500, cheque_id: cheque.short_id })]);
+    });
+
+    test('rejects a cheque the balance cannot cover, without touching it', async () => {
+        expect(await failure(create({ amount: 2000, activations: 3 }))).toBe('insufficient_funds');
+        expect(await failure(create({ amount: 1000, currency: 'TON' }))).toBe('insufficient_funds');
+        expect(await balance('owner')).toBe(5000);
+        expect(await service.list({ userId: 'owner' })).toEqual([]);
+    });
+
+    test('validates the amount, currency and activations', async () => {
+        expect(await failure(create({ amount: 0 }))).toBe('invalid_amount');
+        expect(await failure(create({ amount: 10.5 }))).toBe('invalid_amount');
+        expect(await failure(create({ currency: 'EUR' }))).toBe('invalid_currency');
+        expect(await failure(create({ activations: 0 }))).toBe('invalid_activations');
+    });
+
+    test('needs the current terms to be accepted', async () => {
+        storage.setProfile('owner', { balances: { USD: 5000 } });
+        expect(await failure(create())).toBe('terms_not_accepted');
+    });
+
+    test('draws a new code when the first one is taken', async () => {
+        const codes = ['TAKENCODE222', 'TAKENCODE222', 'FRESHCODE333'];
+        service = createChequeService({ storage, now: () => clock, generateId: () => codes.shift() });
+
+        expect((await create()).short_id).toBe('TAKENCODE222');
+        expect((await create()).short_id).toBe('FRESHCODE333');
+    });
+
+    test('gives up when every code it draws is taken', async () => {
+        service = createChequeService({ storage, now: () => clock, generateId: () => 'TAKENCODE222' });
+        await create();
+
+        await expect(create()).rejects.toThrow('Could not generate a unique cheque code');
+        expect(await balance('owner')).toBe(4000);
+    });
+});
+
+describe('activate', () => {
+    test('credits the activator and uses up one activation', async () => {
+        const cheque = await create({ amount: 700, activations: 2 });
+
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+        expect(await balance('friend')).toBe(700);
+        expect(await service.list({ userId: 'owner', status: 'active' })).toEqual([expect.objectContaining({ activations_left: 1 })]);
+        expect(storage.getNotifications('owner')).toEqual([expect.objectContaining({ type: 'cheque_activated', amount: 700 })]);
+    });
+
+    test('does not let the owner activate their own cheque', async () => {
+        const cheque = await create();
+
+        expect(await failure(service.activate({ userId: 'owner', shortId: cheque.short_id }))).toBe('own_cheque');
+        expect(await balance('owner')).toBe(4000);
+    });
+
+    test('does not let a user activate the same cheque twice', async () => {
+        const cheque = await create({ activations: 2 });
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+
+        expect(await failure(service.activate({ userId: 'friend', shortId: cheque.short_id }))).toBe('already_activated');
+        expect(await balance('friend')).toBe(1000);
+    });
+
+    test('refuses a cheque whose activations are used up', async () => {
+        const cheque = await create();
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+
+        expect((await service.list({ userId: 'owner' }))[0]).toMatchObject({ status: 'activated', activations_left: 0 });
+        expect(await failure(service.activate({ userId: 'stranger', shortId: cheque.short_id }))).toBe('inactive');
+        expect(await balance('stranger')).toBe(0);
+    });
+
+    test('refuses unknown and expired cheques', async () => {
+        expect(await failure(service.activate({ userId: 'friend', shortId: 'NOSUCHCODE22' }))).toBe('not_found');
+
+        const cheque = await create({ lifetimeHours: 1 });
+        clock = new Date('2026-10-19T13:00:00.000Z');
+        expect(await failure(service.activate({ userId: 'friend', shortId: cheque.short_id }))).toBe('expired');
+    });
+
+    test('does not preview a cheque past its expiry that is not swept yet', async () => {
+        const cheque = await create({ lifetimeHours: 1 });
+        expect(await service.preview({ userId: 'friend', shortId: cheque.short_id })).toMatchObject({ short_id: cheque.short_id });
+
+        clock = new Date('2026-10-19T13:00:00.000Z');
+        expect(await failure(service.preview({ userId: 'friend', shortId: cheque.short_id }))).toBe('expired');
+    });
+
+    test('checks the password and locks the cheque after too many wrong ones', async () => {
+        const cheque = await create({ password: 'secret' });
+
+        expect(await failure(service.activate({ userId: 'friend', shortId: cheque.short_id }))).toBe('password_required');
+        for (let attempt = 0; attempt < MAX_PASSWORD_ATTEMPTS; attempt++) {
+            expect(await failure(service.activate({ userId: 'friend', shortId: cheque.short_id, password: 'guess' }))).toBe('wrong_password');
+        }
+        expect(await failure(service.activate({ userId: 'friend', shortId: cheque.short_id, password: 'secret' }))).toBe('locked');
+    });
+
+    test('counts parallel wrong passwords against the cap', async () => {
+        const cheque = await create({ password: 'secret' });
+
+        // As many as the user lockout lets through
+        const guesses = Array.from({ length: MAX_FAILED_ACTIVATIONS }, () => failure(service.activate({ userId: 'friend', shortId: cheque.short_id, password: 'guess' })));
+        const codes = await Promise.all(guesses);
+
+        expect(codes.filter(code => code === 'wrong_password')).toHaveLength(MAX_PASSWORD_ATTEMPTS);
+        expect(codes.filter(code => code === 'locked')).toHaveLength(MAX_FAILED_ACTIVATIONS - MAX_PASSWORD_ATTEMPTS);
+        expect((await storage.getChequeSecret(cheque.id)).failed_attempts).toBe(MAX_PASSWORD_ATTEMPTS);
+    });
+
+    test('keeps the password hash out of the cheque copies', async () => {
+        const cheque = await create({ password: 'secret' });
+
+        const [publicCopy] = await storage.findChequesByShortId(cheque.short_id);
+        expect(publicCopy).toMatchObject({ has_password: true });
+        expect(publicCopy).not.toHaveProperty('password_hash');
+        expect(publicCopy).not.toHaveProperty('password_salt');
+        expect(await storage.getChequeSecret(cheque.id)).toEqual({ password_hash: expect.any(String), password_salt: expect.any(String), failed_attempts: 0 });
+        expect(await service.preview({ userId: 'friend', shortId: cheque.short_id })).toMatchObject({ has_password: true });
+    });
+
+    test('accepts the right password', async () => {
+        const cheque = await create({ password: 'secret' });
+
+        await service.activate({ userId: 'friend', shortId: cheque.short_id, password: 'secret' });
+        expect(await balance('friend')).toBe(1000);
+    });
+});
+
+describe('memos', () => {
+    test('are stored as one plain line', () => {
+        expect(sanitizeMemo('  Lunch\n\tfor   two  ')).toBe('Lunch for two');
+        expect(sanitizeMemo('a\u0000b\u0007c\u009Fd')).toBe('a b c d');
+        expect(sanitizeMemo('pa\u200By\u200Dme\uFEFF')).toBe('pa y me');
+        expect(sanitizeMemo('\u202Egnp.exe\u202C \u2066x\u2069')).toBe('gnp.exe x');
+    });
+
+    test('are null when nothing is left', () => {
+        expect(sanitizeMemo('')).toBeNull();
+        expect(sanitizeMemo(' \u200B\n ')).toBeNull();
+        expect(sanitizeMemo(null)).toBeNull();
+    });
+
+    test('have a length limit, counted after cleaning', async () => {
+        expect(await failure(create({ memo: 'x'.repeat(MAX_MEMO_LENGTH + 1) }))).toBe('invalid_memo');
+        expect(await create({ memo: ` ${'x'.repeat(MAX_MEMO_LENGTH)}\u200B ` })).toMatchObject({ memo: 'x'.repeat(MAX_MEMO_LENGTH) });
+        expect(await balance('owner')).toBe(4000);
+    });
+
+    test('reach both ledgers and the owner\'s notification', async () => {
+        const cheque = await create({ memo: 'Lunch,\n Friday' });
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+
+        expect(cheque.memo).toBe('Lunch, Friday');
+        expect(storage.getLedger('owner')[0]).toMatchObject({ type: 'cheque_create', memo: 'Lunch, Friday' });
+        expect(storage.getLedger('friend')[0]).toMatchObject({ type: 'cheque_activate', memo: 'Lunch, Friday' });
+        expect(storage.getNotifications('owner')[0]).toMatchObject({ memo: 'Lunch, Friday' });
+    });
+});
+
+describe('personal cheques', () => {
+    test('find the recipient by @username or by numeric Telegram id', async () => {
+        storage.setProfile('friend', profile({ USD: 0 }, { first_name: 'Friend', username: 'friend', telegram_id: 2002 }));
+
+        expect(await create({ recipient: '@friend' })).toMatchObject({ recipient_id: 'friend', recipient_username: 'friend' });
+        expect(await create({ recipient: 'friend' })).toMatchObject({ recipient_id: 'friend' });
+        expect(await create({ recipient: ' 2002 ' })).toMatchObject({ recipient_id: 'friend', recipient_username: 'friend' });
+    });
+
+    test('can only be activated by the recipient', async () => {
+        const cheque = await create({ recipient: '@friend' });
+
+        expect(await failure(service.activate({ userId: 'stranger', shortId: cheque.short_id }))).toBe('not_recipient');
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+        expect(await balance('friend')).toBe(1000);
+    });
+
+    test('need a recipient who exists and is not the owner', async () => {
+        expect(await failure(create({ recipient: '@owner' }))).toBe('own_recipient');
+        expect(await failure(create({ recipient: '@nobody' }))).toBe('recipient_not_found');
+        expect(await failure(create({ recipient: '999' }))).toBe('recipient_not_found');
+        expect(await failure(create({ recipient: 'not a username!' }))).toBe('invalid_recipient');
+        expect(await balance('owner')).toBe(5000);
+    });
+
+    test('have a single activation', async () => {
+        expect(await failure(create({ recipient: '@friend', activations: 2 }))).toBe('invalid_activations');
+    });
+});
+
+describe('activation lockout', () => {
+    const guess = () => failure(service.activate({ userId: 'friend', shortId: 'NOSUCHCODE22' }));
+    const minutesLater = (minutes) => {
+        clock = new Date(clock.getTime() + minutes * 60000);
+    };
+
+    test('locks the user out after too many failures, then lets them back in', async () => {
+        const cheque = await create();
+        for (let attempt = 0; attempt < MAX_FAILED_ACTIVATIONS; attempt++) {
+            expect(await guess()).toBe('not_found');
+        }
+
+        expect(await failure(service.activate({ userId: 'friend', shortId: cheque.short_id }))).toBe('too_many_attempts');
+        expect(await failure(service.preview({ userId: 'friend', shortId: cheque.short_id }))).toBe('too_many_attempts');
+        minutesLater(ACTIVATION_LOCKOUT_MINUTES);
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+        expect(await balance('friend')).toBe(1000);
+    });
+
+    test('starts counting again once the window is over', async () => {
+        const cheque = await create();
+        for (let attempt = 0; attempt < MAX_FAILED_ACTIVATIONS - 1; attempt++) await guess();
+        minutesLater(ACTIVATION_FAILURE_WINDOW_MINUTES);
+        for (let attempt = 0; attempt < MAX_FAILED_ACTIVATIONS - 1; attempt++) await guess();
+
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+        expect(await balance('friend')).toBe(1000);
+    });
+
+    test('does not count successful lookups', async () => {
+        const cheque = await create();
+        for (let attempt = 0; attempt < MAX_FAILED_ACTIVATIONS; attempt++) {
+            await service.preview({ userId: 'friend', shortId: cheque.short_id });
+        }
+
+        expect(await guess()).toBe('not_found');
+        expect((await storage.getProfile('friend')).activation_throttle).toMatchObject({ failures: 1, locked_until: null });
+    });
+
+    test('stops a burst of parallel guesses at the limit', async () => {
+        const codes = await Promise.all(Array.from({ length: 20 }, guess));
+
+        expect(codes.filter(code => code === 'not_found')).toHaveLength(MAX_FAILED_ACTIVATIONS);
+        expect(codes.filter(code => code === 'too_many_attempts')).toHaveLength(20 - MAX_FAILED_ACTIVATIONS);
+    });
+});
+
+describe('cancel', () => {
+    test('refunds the activations nobody used', async () => {
+        const cheque = await create({ amount: 1000, activations: 3 });
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+
+        expect(await service.cancel({ userId: 'owner', chequeId: cheque.id })).toEqual({ refund: 2000, currency: 'USD' });
+        expect(await balance('owner')).toBe(4000);
+        expect(storage.getLedger('owner').at(-1)).toMatchObject({ type: 'cheque_refund', amount: 2000, balance_after: 4000 });
+        expect((await service.list({ userId: 'owner' }))[0]).toMatchObject({ status: 'cancelled', cancelled_by: 'owner', activations_left: 0 });
+    });
+
+    test('refunds only once', async () => {
+        const cheque = await create();
+        await service.cancel({ userId: 'owner', chequeId: cheque.id });
+
+        expect(await failure(service.cancel({ userId: 'owner', chequeId: cheque.id }))).toBe('inactive');
+        expect(await balance('owner')).toBe(5000);
+    });
+
+    test('only lets the owner cancel', async () => {
+        const cheque = await create();
+
+        expect(await failure(service.cancel({ userId: 'friend', chequeId: cheque.id }))).toBe('not_owner');
+        expect(await balance('friend')).toBe(0);
+    });
+
+    test('makes the cheque unusable', async () => {
+        const cheque = await create();
+        await service.cancel({ userId: 'owner', chequeId: cheque.id });
+
+        expect(await failure(service.activate({ userId: 'friend', shortId: cheque.short_id }))).toBe('inactive');
+    });
+});
+
+describe('expire', () => {
+    test('refunds the unused activations once the cheque is past its expiry', async () => {
+        const cheque = await create({ amount: 1000, activations: 2, lifetimeHours: 1 });
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+
+        expect(await service.expire({ chequeId: cheque.id })).toBe(false);
+        clock = new Date('2026-10-19T13:00:00.000Z');
+        expect(await service.expire({ chequeId: cheque.id })).toBe(true);
+        expect(await service.expire({ chequeId: cheque.id })).toBe(false);
+
+        expect(await balance('owner')).toBe(4000);
+        expect(storage.getLedger('owner').at(-1)).toMatchObject({ type: 'cheque_expired', amount: 1000 });
+        expect((await service.list({ userId: 'owner' }))[0]).toMatchObject({ status: 'expired', activations_left: 0, expired_at: clock.toISOString() });
+    });
+
+    test('leaves cheques without a lifetime and cancelled cheques alone', async () => {
+        const forever = await create();
+        const cancelled = await create({ lifetimeHours: 1 });
+        await service.cancel({ userId: 'owner', chequeId: cancelled.id });
+        clock = new Date('2027-01-01T00:00:00.000Z');
+
+        expect(await service.expire({ chequeId: forever.id })).toBe(false);
+        expect(await service.expire({ chequeId: cancelled.id })).toBe(false);
+        expect(await balance('owner')).toBe(4000);
+    });
+});
+
+describe('support', () => {
+    const support = { adminUid: 'admin', reason: 'Ticket 42' };
+
+    test("cancels anyone's cheque with a refund to its owner, and logs it", async () => {
+        const cheque = await create({ amount: 1000, activations: 2 });
+
+        expect(await service.cancel({ chequeId: cheque.id, support })).toEqual({ refund: 2000, currency: 'USD' });
+        expect(await balance('owner')).toBe(5000);
+        expect((await service.list({ userId: 'owner' }))[0]).toMatchObject({ status: 'cancelled', cancelled_by: 'support' });
+        expect(storage.getAuditLog()).toEqual([expect.objectContaining({ admin_uid: 'admin', action: 'cancel_cheque', target_uid: 'owner', cheque_id: cheque.short_id, reason: 'Ticket 42' })]);
+    });
+
+    test('credits and debits a balance, never below zero', async () => {
+        expect(await service.adjustBalance({ userId: 'friend', amount: 300, currency: 'USD', support })).toEqual({ balanceAfter: 300, currency: 'USD' });
+        expect(await service.adjustBalance({ userId: 'friend', amount: -100, currency: 'USD', support })).toEqual({ balanceAfter: 200, currency: 'USD' });
+        expect(await failure(service.adjustBalance({ userId: 'friend', amount: -201, currency: 'USD', support }))).toBe('insufficient_funds');
+
+        expect(await balance('friend')).toBe(200);
+        expect(storage.getLedger('friend').map(entry => entry.amount)).toEqual([300, -100]);
+        expect(storage.getAuditLog().map(entry => entry.details)).toEqual([
+            { amount: 300, currency: 'USD', balance_after: 300 },
+            { amount: -100, currency: 'USD', balance_after: 200 },
+        ]);
+    });
+
+    test('debits frozen accounts, but not unknown users', async () => {
+        storage.setProfile('friend', profile({ USD: 500 }, { frozen: true }));
+
+        await service.adjustBalance({ userId: 'friend', amount: -500, currency: 'USD', support });
+        expect(await balance('friend')).toBe(0);
+        expect(await failure(service.adjustBalance({ userId: 'nobody', amount: 100, currency: 'USD', support }))).toBe('user_not_found');
+        expect(await failure(service.adjustBalance({ userId: 'friend', amount: 1.5, currency: 'USD', support }))).toBe('invalid_amount');
+    });
+});
+
+describe('withdrawals', () => {
+    const support = { adminUid: 'admin', reason: null };
+    const request = () => service.requestWithdrawal({ userId: 'owner', amount: 2000, currency: 'USD', destination: 'UQ-wallet' });
+    const move = (withdrawalId, status) => service.transitionWithdrawal({ userId: 'owner', withdrawalId, status, support });
+    const held = async () => (await storage.getProfile('owner')).pending_withdrawals.USD;
+
+    test('a request moves the amount from the balance into the hold', async () => {
+        await request();
+
+        expect(await balance('owner')).toBe(3000);
+        expect(await held()).toBe(2000);
+        expect(storage.getWithdrawals('owner')).toEqual([expect.objectContaining({ amount: 2000, status: 'pending' })]);
+    });
+
+    test('rejecting returns the held amount to the balance', async () => {
+        const { id } = await request();
+
+        expect(await move(id, 'rejected')).toMatchObject({ status: 'rejected' });
+        expect(await balance('owner')).toBe(5000);
+        expect(await held()).toBe(0);
+        expect(storage.getLedger('owner').at(-1)).toMatchObject({ type: 'withdrawal_refund', amount: 2000, balance_after: 5000 });
+        expect(storage.getAuditLog()).toEqual([expect.objectContaining({ action: 'withdrawal_status', target_uid: 'owner', details: expect.objectContaining({ from: 'pending', to: 'rejected' }) })]);
+    });
+
+    test('completing releases the hold without a refund', async () => {
+        const { id } = await request();
+        await move(id, 'approved');
+        await move(id, 'completed');
+
+        expect(await balance('owner')).toBe(3000);
+        expect(await held()).toBe(0);
+        expect(storage.getWithdrawals('owner')[0].history.map(entry => entry.status)).toEqual(['pending', 'approved', 'completed']);
+    });
+
+    test('final statuses cannot change, and unknown requests are refused', async () => {
+        const { id } = await request();
+        await move(id, 'rejected');
+
+        expect(await failure(move(id, 'completed'))).toBe('invalid_withdrawal_status');
+        expect(await failure(move(id, 'rejected'))).toBe('invalid_withdrawal_status');
+        expect(await failure(move('nope', 'approved'))).toBe('withdrawal_not_found');
+        expect(await balance('owner')).toBe(5000);
+    });
+});
+
+describe('getStats', () => {
+    test('totals what was sent, received and is still reserved', async () => {
+        const cheque = await create({ amount: 1000, activations: 2 });
+        await service.activate({ userId: 'friend', shortId: cheque.short_id });
+
+        expect(await service.getStats({ userId: 'owner' })).toMatchObject({ chequesCreated: 1, activeCheques: 1, sent: { USD: 1000 }, outstanding: { USD: 1000 } });
+        expect(await service.getStats({ userId: 'friend' })).toMatchObject({ chequesActivated: 1, received: { USD: 1000 } });
+    });
+});
@@ -0,0 +1,126 @@
+import { toCsv, toJson, dateRangeBounds, isInRange, chequesCsvFile, transactionsCsvFile, CHEQUE_COLUMNS, TRANSACTION_COLUMNS, EXPORT_FORMAT_VERSION } from '../exportData.js';
+
+// The export formats are a contract with whoever imports the files (see exportData.js)
+
+const cheque = {
+    short_id: 'ABCDEFGH2345',
+    status: 'active',
+    currency: 'USD',
+    amount: 1050,
+    activations_total: 2,
+    activations_left: 1,
+    anonymous: false,
+    has_password: true,
+    recipient_username: null,
+    memo: 'Lunch, "Friday"',
+    created_at: '2026-10-19T08:30:00.000Z',
+    expires_at: null,
+};
+
+const entry = {
+    created_at: '2026-10-19T09:00:00.000Z',
+    type: 'cheque_activate',
+    currency: 'TON',
+    amount: 25000,
+    balance_after: 1250000,
+    cheque_id: 'ABCDEFGH2345',
+    counterparty: { id: 'owner', name: 'Owner' },
+    memo: null,
+};
+
+// The CSV's rows without the line ends
+const csvLines = (csv) => csv.split('\r\n').slice(0, -1);
+
+describe('toCsv', () => {
+    test('starts with the column names and ends every line with CRLF', () => {
+        const csv = toCsv(CHEQUE_COLUMNS, [cheque]);
+
+        expect(csv.endsWith('\r\n')).toBe(true);
+        expect(csv.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+        expect(csvLines(csv)[0]).toBe(CHEQUE_COLUMNS.map(column => column.name).join(','));
+    });
+
+    test('writes amounts, flags, empty cells and quoted text', () => {
+        const [, row] = csvLines(toCsv(CHEQUE_COLUMNS, [cheque]));
+
+        expect(row).toBe('ABCDEFGH2345,active,USD,10.50,2,1,21.00,false,true,,"Lunch, ""Friday""",2026-10-19T08:30:00.000Z,,,,');
+    });
+
+    test('quotes cells with line breaks', () => {
+        const [, row] = csvLines(toCsv(CHEQUE_COLUMNS, [{ ...cheque, memo: 'one\ntwo' }]));
+        expect(row).toContain(',"one\ntwo",');
+    });
+
+    test('defuses text that spreadsheets would run as a formula', () => {
+        const formulas = ['=HYPERLINK("http://evil")', '+1', '-1', '@SUM(A1)', '\tTab'];
+        const rows = csvLines(toCsv(TRANSACTION_COLUMNS, formulas.map(memo => ({ ...entry, memo }))));
+
+        expect(rows.slice(1).map(row => row.split(',').slice(7).join(','))).toEqual([
+            '"\'=HYPERLINK(""http://evil"")"',
+            "'+1",
+            "'-1",
+            "'@SUM(A1)",
+            "'\tTab",
+        ]);
+    });
+
+    test('leaves numbers alone, including negative amounts', () => {
+        const [, row] = csvLines(toCsv(TRANSACTION_COLUMNS, [{ ...entry, amount: -25000 }]));
+        expect(row).toBe('2026-10-19T09:00:00.000Z,cheque_activate,TON,-2.5000,125.0000,ABCDEFGH2345,Owner,');
+    });
+});
+
+describe('CSV files', () => {
+    test('start with a byte order mark so spreadsheets read them as UTF-8', () => {
+        const file = chequesCsvFile([cheque], { from: '2026-10-01', to: '2026-10-19' });
+
+        expect(file.content.startsWith('\uFEFFshort_id,')).toBe(true);
+        expect(file.fileName).toBe('bill-activator-cheques-2026-10-01_2026-10-19.csv');
+        expect(file.mimeType).toBe('text/csv;charset=utf-8');
+        expect(transactionsCsvFile([entry]).fileName).toBe('bill-activator-transactions-all_all.csv');
+    });
+});
+
+describe('toJson', () => {
+    test('uses the CSV columns, with nulls for missing values', () => {
+        const json = JSON.parse(toJson({ cheques: [cheque], transactions: [entry], from: '2026-10-01', exportedAt: new Date('2026-10-19T12:00:00.000Z') }));
+
+        expect(json).toMatchObject({ format_version: EXPORT_FORMAT_VERSION, exported_at: '2026-10-19T12:00:00.000Z', range: { from: '2026-10-01', to: null } });
+        expect(Object.keys(json.cheques[0])).toEqual(CHEQUE_COLUMNS.map(column => column.name));
+        expect(json.cheques[0]).toMatchObject({ amount: '10.50', total_amount: '21.00', password_protected: true, recipient_username: null, expires_at: null });
+        expect(json.transactions[0]).toEqual({
+            created_at: '2026-10-19T09:00:00.000Z',
+            type: 'cheque_activate',
+            currency: 'TON',
+            amount: '2.5000',
+            balance_after: '125.0000',
+            cheque_id: 'ABCDEFGH2345',
+            counterparty_name: 'Owner',
+            memo: null,
+        });
+    });
+
+    test('reads Firestore timestamps', () => {
+        const createdAt = { toDate: () => new Date('2026-10-19T08:30:00.000Z') };
+        const json = JSON.parse(toJson({ cheques: [{ ...cheque, created_at: createdAt }] }));
+        expect(json.cheques[0].created_at).toBe('2026-10-19T08:30:00.000Z');
+    });
+});
+
+describe('dateRangeBounds', () => {
+    test('covers whole local days, with the end day included', () => {
+        const { start, end } = dateRangeBounds('2026-10-01', '2026-10-19');
+
+        expect(start).toBe(new Date(2026, 9, 1).toISOString());
+        expect(end).toBe(new Date(2026, 9, 20).toISOString());
+        expect(isInRange(new Date(2026, 9, 19, 23, 59), { start, end })).toBe(true);
+        expect(isInRange(new Date(2026, 9, 20), { start, end })).toBe(false);
+        expect(isInRange(new Date(2026, 8, 30, 23, 59), { start, end })).toBe(false);
+    });
+
+    test('leaves unset bounds open', () => {
+        expect(dateRangeBounds('', '')).toEqual({ start: null, end: null });
+        expect(isInRange('2000-01-01T00:00:00.000Z', dateRangeBounds('', '2026-10-19'))).toBe(true);
+        expect(isInRange(null, { start: null, end: null })).toBe(false);
+    });
+});
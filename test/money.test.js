@@ -0,0 +1,101 @@
+import { parseAmount, formatAmount, formatDecimal, addAmounts, multiplyAmount, fromLegacyFloat } from '../functions/shared/money.js';
+
+// Amounts in integer minor units (see functions/shared/money.js)
+
+describe('parseAmount', () => {
+    test('reads whole and decimal amounts, with a dot or a comma', () => {
+        expect(parseAmount('10')).toBe(1000);
+        expect(parseAmount('10.5')).toBe(1050);
+        expect(parseAmount(' 10,50 ')).toBe(1050);
+        expect(parseAmount('0.01')).toBe(1);
+        expect(parseAmount('2.5', 'TON')).toBe(25000);
+        expect(parseAmount('0.0001', 'TON')).toBe(1);
+    });
+
+    test('rejects more decimals than the currency has', () => {
+        expect(parseAmount('10.555')).toBeNull();
+        expect(parseAmount('0.00001', 'TON')).toBeNull();
+    });
+
+    test('rejects anything but a plain positive decimal', () => {
+        ['1e3', '-5', '0', '0.00', '', '   ', '10.', '.5', '1 000', '10$', 'Infinity', 'NaN'].forEach(input => {
+            expect(parseAmount(input)).toBeNull();
+        });
+        expect(parseAmount(null)).toBeNull();
+        expect(parseAmount(undefined)).toBeNull();
+    });
+
+    test('rejects amounts too large to count exactly', () => {
+        expect(parseAmount('90071992547409.92')).toBeNull();
+        expect(parseAmount('90071992547409.91')).toBe(Number.MAX_SAFE_INTEGER);
+    });
+});
+
+describe('formatAmount', () => {
+    test("uses the currency's format and keeps the sign in front", () => {
+        expect(formatAmount(1050, 'USD')).toBe('$10.50');
+        expect(formatAmount(-5, 'USD')).toBe('-$0.05');
+        expect(formatAmount(25000, 'TON')).toBe('2.5000 TON');
+    });
+
+    test("follows the locale's digit grouping and decimal separator", () => {
+        expect(formatAmount(123456, 'USD', 'ru')).toMatch(/^\$1\s234,56$/);
+        expect(formatAmount(123456, 'USD', 'en')).toBe('$1,234.56');
+    });
+});
+
+describe('formatDecimal', () => {
+    test('writes exact decimals in major units', () => {
+        expect(formatDecimal(1050, 'USD')).toBe('10.50');
+        expect(formatDecimal(5, 'USD')).toBe('0.05');
+        expect(formatDecimal(0, 'USDT')).toBe('0.00');
+    });
+
+    test('keeps the sign of negative amounts', () => {
+        expect(formatDecimal(-5, 'USD')).toBe('-0.05');
+        expect(formatDecimal(-123456, 'USD')).toBe('-1234.56');
+    });
+
+    test('uses four decimals for TON', () => {
+        expect(formatDecimal(25000, 'TON')).toBe('2.5000');
+        expect(formatDecimal(-1, 'TON')).toBe('-0.0001');
+    });
+});
+
+describe('arithmetic', () => {
+    test('adds and multiplies exactly', () => {
+        expect(addAmounts(10, 20)).toBe(30);
+        expect(addAmounts(1000, -1050)).toBe(-50);
+        expect(addAmounts()).toBe(0);
+        expect(multiplyAmount(1500, 3)).toBe(4500);
+    });
+
+    test('throws instead of losing precision', () => {
+        expect(() => addAmounts(Number.MAX_SAFE_INTEGER, 1)).toThrow(RangeError);
+        expect(() => addAmounts(10, 0.5)).toThrow(RangeError);
+        expect(() => multiplyAmount(Number.MAX_SAFE_INTEGER, 2)).toThrow(RangeError);
+        expect(() => multiplyAmount(1000, 1.5)).toThrow(RangeError);
+        expect(() => multiplyAmount(10.5, 2)).toThrow(RangeError);
+    });
+});
+
+describe('fromLegacyFloat', () => {
+    test('converts major-unit floats, rounding away float error', () => {
+        expect(fromLegacyFloat(10.5)).toBe(1050);
+        expect(fromLegacyFloat(0.1 + 0.2)).toBe(30);
+        expect(fromLegacyFloat(-2.5)).toBe(-250);
+        expect(fromLegacyFloat(2.5, 'TON')).toBe(25000);
+    });
+
+    test('reads missing and broken values as zero', () => {
+        expect(fromLegacyFloat(undefined)).toBe(0);
+        expect(fromLegacyFloat(null)).toBe(0);
+        expect(fromLegacyFloat('10')).toBe(0);
+        expect(fromLegacyFloat(NaN)).toBe(0);
+        expect(fromLegacyFloat(Infinity)).toBe(0);
+    });
+
+    test('throws for floats too large to convert exactly', () => {
+        expect(() => fromLegacyFloat(1e15)).toThrow(RangeError);
+    });
+});
@@ -0,0 +1,56 @@
+import { readFileSync } from 'node:fs';
+import { PNG } from 'pngjs';
+import { encodeQr, decodeQr, parseChequeId } from '../qr.js';
+
+// QR encoding and decoding on fixture images (test/fixtures), the same pixels the scanner gets
+// from a camera frame or an uploaded file
+
+const fixture = (name) => PNG.sync.read(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+
+// A PNG data URL as the { data, width, height } decodeQr takes
+const imageFromDataUrl = (dataUrl) => PNG.sync.read(Buffer.from(dataUrl.replace(/^data:image\/png;base64,/, ''), 'base64'));
+
+describe('decodeQr', () => {
+    test('reads a cheque link', () => {
+        expect(decodeQr(fixture('qr-telegram-link.png'))).toBe('https://t.me/BillActivatorBot/app?startapp=ABCDEFGH2345');
+    });
+
+    test('reads light-on-dark codes', () => {
+        expect(decodeQr(fixture('qr-web-link-inverted.png'))).toBe('https://example.com/app/?cheque=ABCDEFGH2345');
+    });
+
+    test('returns null without a code', () => {
+        expect(decodeQr(fixture('no-qr.png'))).toBeNull();
+    });
+});
+
+describe('encodeQr', () => {
+    test('renders a PNG that decodes back to the text', async () => {
+        const link = 'https://t.me/BillActivatorBot/app?startapp=ZYXWVUTS9876';
+        const dataUrl = await encodeQr(link);
+
+        expect(dataUrl).toMatch(/^data:image\/png;base64,/);
+        const image = imageFromDataUrl(dataUrl);
+        expect(image.width).toBe(256);
+        expect(decodeQr(image)).toBe(link);
+    });
+});
+
+describe('parseChequeId', () => {
+    test('takes the ID from Telegram and web links', () => {
+        expect(parseChequeId('https://t.me/BillActivatorBot/app?startapp=ABCDEFGH2345')).toBe('ABCDEFGH2345');
+        expect(parseChequeId('https://example.com/app/?cheque=ABCDEFGH2345')).toBe('ABCDEFGH2345');
+        expect(parseChequeId(decodeQr(fixture('qr-web-link-inverted.png')))).toBe('ABCDEFGH2345');
+    });
+
+    test('accepts a bare ID with surrounding whitespace', () => {
+        expect(parseChequeId('  ABCDEFGH2345\n')).toBe('ABCDEFGH2345');
+    });
+
+    test('rejects links without an ID and text that is not an ID', () => {
+        expect(parseChequeId('https://example.com/app/')).toBeNull();
+        expect(parseChequeId('not a cheque')).toBeNull();
+        expect(parseChequeId('')).toBeNull();
+        expect(parseChequeId(null)).toBeNull();
+    });
+});
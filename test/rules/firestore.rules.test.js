@@ -0,0 +1,220 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, collection, query, where, getDoc, getDocs, setDoc, updateDoc, addDoc } from 'firebase/firestore';
+
+// firestore.rules against the Firestore emulator: `npm run test:rules` starts it with the
+// Firebase CLI and runs this suite. Cheque state changes (create, activate, cancel, expire) and
+// every balance change happen in the functions with the Admin SDK, so for clients each of those
+// transitions must be denied, while reads of their own data and the few client writes still work.
+
+const APP_ID = 'default-app-id';
+const OWNER = 'tg-1';
+const ACTIVATOR = 'tg-2';
+const STRANGER = 'tg-3';
+const CHEQUE_ID = `${OWNER}-ABCDEFGH2345`;
+
+const claims = {
+    [OWNER]: { telegram_id: 1, first_name: 'Owner', username: 'owner' },
+    [ACTIVATOR]: { telegram_id: 2, first_name: 'Activator', username: 'activator' },
+    [STRANGER]: { telegram_id: 3, first_name: 'Stranger', username: 'stranger' },
+};
+
+const profilePath = (uid) => `artifacts/${APP_ID}/users/${uid}/data/profile`;
+const ownerChequePath = `artifacts/${APP_ID}/users/${OWNER}/cheques/${CHEQUE_ID}`;
+const publicChequesPath = `artifacts/${APP_ID}/public/data/cheques`;
+const publicChequePath = `${publicChequesPath}/${CHEQUE_ID}`;
+const activationPath = (uid) => `${publicChequePath}/activations/${uid}`;
+
+const cheque = {
+    short_id: 'ABCDEFGH2345',
+    owner_id: OWNER,
+    amount: 1000,
+    currency: 'USD',
+    activations_total: 2,
+    activations_left: 1,
+    status: 'active',
+    anonymous: false,
+    created_at: '2026-10-19T12:00:00.000Z',
+    expires_at: null,
+    recipient_id: null,
+    recipient_username: null,
+    memo: null,
+};
+
+let testEnv;
+
+// Firestore as the client SDK of a signed-in user (with the claims authTelegram puts into the token)
+const firestoreOf = (uid) => testEnv.authenticatedContext(uid, claims[uid]).firestore();
+
+const seed = (writes) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [path, data] of Object.entries(writes)) {
+        await setDoc(doc(db, path), data);
+    }
+});
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-bill-activator',
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+        [profilePath(OWNER)]: { ...claims[OWNER], balances: { USD: 4000 }, join_date: '2026-10-01T00:00:00.000Z', terms_accepted_version: 1 },
+        [profilePath(ACTIVATOR)]: { ...claims[ACTIVATOR], balances: { USD: 1000 }, join_date: '2026-10-01T00:00:00.000Z', terms_accepted_version: 1 },
+        [ownerChequePath]: { ...cheque, has_password: false },
+        [publicChequePath]: { ...cheque, owner_first_name: 'Owner', owner_username: 'owner' },
+        [activationPath(ACTIVATOR)]: { user_id: ACTIVATOR, activated_at: '2026-10-19T12:30:00.000Z', activator: null },
+    });
+});
+
+afterAll(() => testEnv.cleanup());
+
+describe('profiles', () => {
+    test('a new user creates their own profile with empty balances', async () => {
+        const db = firestoreOf(STRANGER);
+        await assertSucceeds(setDoc(doc(db, profilePath(STRANGER)), { ...claims[STRANGER], balances: {}, join_date: '2026-10-19T12:00:00.000Z' }));
+    });
+
+    test('the Telegram language code can be kept on the profile', async () => {
+        const db = firestoreOf(STRANGER);
+        await assertSucceeds(setDoc(doc(db, profilePath(STRANGER)), { ...claims[STRANGER], language_code: 'en', balances: {}, join_date: '2026-10-19T12:00:00.000Z' }));
+        await assertSucceeds(updateDoc(doc(db, profilePath(STRANGER)), { language_code: 'ru' }));
+        await assertFails(updateDoc(doc(db, profilePath(STRANGER)), { language_code: 'x'.repeat(17) }));
+    });
+
+    test('a new profile cannot start with money', async () => {
+        const db = firestoreOf(STRANGER);
+        await assertFails(setDoc(doc(db, profilePath(STRANGER)), { ...claims[STRANGER], balances: { USD: 100000 }, join_date: '2026-10-19T12:00:00.000Z' }));
+    });
+
+    test('users cannot credit or debit their own balance', async () => {
+        const db = firestoreOf(OWNER);
+        await assertFails(updateDoc(doc(db, profilePath(OWNER)), { 'balances.USD': 1000000 }));
+        await assertFails(updateDoc(doc(db, profilePath(OWNER)), { balances: { USD: 4000, TON: 50000 } }));
+        await assertFails(updateDoc(doc(db, profilePath(OWNER)), { 'pending_withdrawals.USD': 0 }));
+    });
+
+    test('users cannot accept terms, unfreeze themselves or take another Telegram id', async () => {
+        const db = firestoreOf(OWNER);
+        await assertFails(updateDoc(doc(db, profilePath(OWNER)), { terms_accepted_version: 99 }));
+        await assertFails(updateDoc(doc(db, profilePath(OWNER)), { frozen: false }));
+        await assertFails(updateDoc(doc(db, profilePath(OWNER)), { telegram_id: 2 }));
+    });
+
+    test('the @username comes from the token only', async () => {
+        await assertFails(updateDoc(doc(firestoreOf(OWNER), profilePath(OWNER)), { username: 'activator' }));
+        await assertFails(setDoc(doc(firestoreOf(STRANGER), profilePath(STRANGER)), { ...claims[STRANGER], username: 'owner', balances: {}, join_date: '2026-10-19T12:00:00.000Z' }));
+
+        // Users signed in without Telegram have no @username at all
+        const db = testEnv.authenticatedContext('email-user').firestore();
+        const profile = { telegram_id: null, first_name: 'Email', balances: {}, join_date: '2026-10-19T12:00:00.000Z' };
+        await assertFails(setDoc(doc(db, profilePath('email-user')), { ...profile, username: 'owner' }));
+        await assertSucceeds(setDoc(doc(db, profilePath('email-user')), { ...profile, username: null }));
+    });
+
+    test('users can set a display name within the length limit', async () => {
+        const db = firestoreOf(OWNER);
+        await assertSucceeds(updateDoc(doc(db, profilePath(OWNER)), { display_name: 'Boss' }));
+        await assertFails(updateDoc(doc(db, profilePath(OWNER)), { display_name: 'x'.repeat(65) }));
+    });
+
+    test('profiles are private to their user', async () => {
+        const db = firestoreOf(STRANGER);
+        await assertFails(getDoc(doc(db, profilePath(OWNER))));
+        await assertFails(updateDoc(doc(db, profilePath(OWNER)), { display_name: 'Hacked' }));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), profilePath(OWNER))));
+    });
+});
+
+describe('cheque transitions', () => {
+    test('clients cannot create cheques directly', async () => {
+        const db = firestoreOf(OWNER);
+        await assertFails(setDoc(doc(db, `${publicChequesPath}/${OWNER}-NEWCHEQUE234`), { ...cheque, short_id: 'NEWCHEQUE234' }));
+        await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/users/${OWNER}/cheques/${OWNER}-NEWCHEQUE234`), { ...cheque, short_id: 'NEWCHEQUE234' }));
+    });
+
+    test('a non-owner cannot mark a cheque activated or record an activation', async () => {
+        const db = firestoreOf(STRANGER);
+        await assertFails(updateDoc(doc(db, publicChequePath), { status: 'activated', activations_left: 0 }));
+        await assertFails(updateDoc(doc(db, ownerChequePath), { status: 'activated', activations_left: 0 }));
+        await assertFails(setDoc(doc(db, activationPath(STRANGER)), { user_id: STRANGER, activated_at: '2026-10-19T13:00:00.000Z' }));
+    });
+
+    test('the owner cannot cancel from the client', async () => {
+        const db = firestoreOf(OWNER);
+        await assertFails(updateDoc(doc(db, publicChequePath), { status: 'cancelled', activations_left: 0 }));
+        await assertFails(updateDoc(doc(db, ownerChequePath), { status: 'cancelled', activations_left: 0 }));
+    });
+
+    test('nobody can reactivate or top up a cheque', async () => {
+        const db = firestoreOf(OWNER);
+        await assertFails(updateDoc(doc(db, publicChequePath), { activations_left: 10 }));
+        await assertFails(updateDoc(doc(db, publicChequePath), { amount: 1000000 }));
+    });
+});
+
+describe('cheque reads', () => {
+    test('signed-in users get a cheque by id, but cannot query cheques by code', async () => {
+        const db = firestoreOf(STRANGER);
+        await assertSucceeds(getDoc(doc(db, publicChequePath)));
+        await assertFails(getDocs(query(collection(db, publicChequesPath), where('short_id', '==', cheque.short_id))));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), publicChequePath)));
+    });
+
+    test('recipients list the personal cheques addressed to them', async () => {
+        const db = firestoreOf(ACTIVATOR);
+        await assertSucceeds(getDocs(query(collection(db, publicChequesPath), where('recipient_id', '==', ACTIVATOR))));
+        await assertFails(getDocs(query(collection(db, publicChequesPath), where('recipient_id', '==', STRANGER))));
+    });
+
+    test("nobody can read a cheque's password secret", async () => {
+        const secretPath = `${publicChequePath}/secrets/password`;
+        await seed({ [secretPath]: { password_hash: 'ab12', password_salt: 'cd34', failed_attempts: 0 } });
+        await assertFails(getDoc(doc(firestoreOf(STRANGER), secretPath)));
+        await assertFails(getDoc(doc(firestoreOf(OWNER), secretPath)));
+        await assertFails(updateDoc(doc(firestoreOf(STRANGER), secretPath), { failed_attempts: 0 }));
+    });
+
+    test("the owner's copy is private to the owner", async () => {
+        await assertSucceeds(getDoc(doc(firestoreOf(OWNER), ownerChequePath)));
+        await assertFails(getDoc(doc(firestoreOf(ACTIVATOR), ownerChequePath)));
+    });
+
+    test('activations are visible to the activator and the owner only', async () => {
+        await assertSucceeds(getDoc(doc(firestoreOf(ACTIVATOR), activationPath(ACTIVATOR))));
+        await assertSucceeds(getDocs(collection(firestoreOf(OWNER), `${publicChequePath}/activations`)));
+        await assertFails(getDoc(doc(firestoreOf(STRANGER), activationPath(ACTIVATOR))));
+        await assertFails(getDocs(collection(firestoreOf(ACTIVATOR), `${publicChequePath}/activations`)));
+    });
+});
+
+describe('ledger, notifications and invoices', () => {
+    test('users cannot write their own ledger', async () => {
+        const db = firestoreOf(OWNER);
+        await assertFails(addDoc(collection(db, `artifacts/${APP_ID}/users/${OWNER}/transactions`), { type: 'top_up', amount: 100000, currency: 'USD' }));
+    });
+
+    test('users can only mark their notifications as read', async () => {
+        const path = `artifacts/${APP_ID}/users/${OWNER}/notifications/n1`;
+        await seed({ [path]: { type: 'cheque_activated', amount: 1000, read: false } });
+        const db = firestoreOf(OWNER);
+        await assertSucceeds(updateDoc(doc(db, path), { read: true }));
+        await assertFails(updateDoc(doc(db, path), { amount: 1 }));
+        await assertFails(updateDoc(doc(firestoreOf(STRANGER), path), { read: true }));
+    });
+
+    test('mock invoices can be recorded only when mock payments are enabled', async () => {
+        const invoice = { provider: 'mock', amount: 2500, currency: 'USD', status: 'pending', created_at: '2026-10-19T12:00:00.000Z' };
+        const invoicePath = `artifacts/${APP_ID}/users/${OWNER}/invoices/inv_1`;
+        const db = firestoreOf(OWNER);
+        await assertFails(setDoc(doc(db, invoicePath), invoice));
+
+        await seed({ [`artifacts/${APP_ID}/public/config`]: { mock_payments: true } });
+        await assertFails(setDoc(doc(db, invoicePath), { ...invoice, status: 'credited' }));
+        await assertSucceeds(setDoc(doc(db, invoicePath), invoice));
+    });
+});